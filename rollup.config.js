@@ -1,17 +1,43 @@
 import buble from 'rollup-plugin-buble';
 
-export default {
-	external: ['preact', 'dlv'],
+const plugins = [
+	buble({
+		jsx: 'h',
+		objectAssign: 'assign'
+	})
+];
+
+// the modules of other entries are built into CommonJS beside `main`, but obtain WireContext and WireProvider from it,
+// so that they share them with the components wired by `main`:
+const isContext = id => /(^|[\\/])context(\.js)?$/.test(id);
+const entry = name => ({
+	input: `src/${name}.js`,
+	external: id => ['preact', 'preact/hooks', 'dlv'].indexOf(id)!==-1 || isContext(id),
 	output: {
-		globals: {
-			preact: 'preact',
-			dlv: 'dlv'
-		}
+		file: `dist/${name}.js`,
+		format: 'cjs',
+		sourcemap: true,
+		paths: id => isContext(id) ? 'wiretie' : id
+	},
+	plugins
+});
+
+export default [
+	{
+		input: 'src/umd.js',
+		external: ['preact', 'dlv'],
+		output: {
+			file: 'dist/wiretie.js',
+			format: 'umd',
+			name: 'wire',
+			sourcemap: true,
+			globals: {
+				preact: 'preact',
+				dlv: 'dlv'
+			}
+		},
+		plugins
 	},
-	plugins: [
-		buble({
-			jsx: 'h',
-			objectAssign: 'assign'
-		})
-	]
-};
+	entry('hooks'),
+	entry('test-utils')
+];
@@ -0,0 +1,57 @@
+import getKey from './key';
+
+/** Creates a function that coalesces the calls made to it in the same tick into a single call to a batch method.
+ *	`batch(fn, [id, ...rest])` resolves to the element of `fn([...ids], ...rest)` for `id`. The result can be an Array in the order of `ids`, or an Object keyed by id.
+ *	Elements that are Errors reject only their own call. Calls whose remaining arguments differ are batched separately.
+ *	@private
+ *	@returns {Function} batch
+ */
+export default function createBatcher() {
+	let queue = [];
+
+	function flush() {
+		let groups = queue;
+		queue = [];
+		groups.forEach(run);
+	}
+
+	function run({ fn, rest, items }) {
+		let ids = items.map( item => item.id ),
+			p;
+		try {
+			p = Promise.resolve(fn(ids, ...rest));
+		}
+		catch (err) {
+			p = Promise.reject(err);
+		}
+
+		p.then( results => items.forEach( (item, index) => {
+			let value = Array.isArray(results) ? results[index] : results && results[item.id];
+			if (value instanceof Error) item.reject(value);
+			else item.resolve(value);
+		}), err => items.forEach( item => item.reject(err) ));
+	}
+
+	return function batch(fn, args) {
+		let [id, ...rest] = args,
+			restKey = getKey(rest);
+
+		if (!queue.length) Promise.resolve().then(flush);
+
+		let group = queue.filter( g => g.fn===fn && g.restKey===restKey )[0];
+		if (!group) queue.push(group = { fn, rest, restKey, items: [], byKey: {} });
+
+		// the same id is only requested once per batch
+		let key = getKey(id),
+			item = group.byKey[key];
+		if (!item) {
+			item = group.byKey[key] = { id };
+			item.promise = new Promise( (resolve, reject) => {
+				item.resolve = resolve;
+				item.reject = reject;
+			});
+			group.items.push(item);
+		}
+		return item.promise;
+	};
+}
@@ -0,0 +1,90 @@
+/** Creates a store for resolved values, keyed by call descriptor.
+ *	Entries can expire after a given age, and the number of entries can be capped (least recently used entries are evicted first).
+ *
+ *	@name createCache
+ *	@param {Object} [options]
+ *	@param {Number} [options.maxAge]		Milliseconds a value is considered fresh for. Fresh values are used without calling the model again.
+ *	@param {Number} [options.hydrationMaxAge=10000]	Without a `maxAge`, milliseconds a hydrated value is considered fresh for, so the first render after hydrating doesn't refetch but later ones do.
+ *	@param {Boolean} [options.stale=false]	If `true`, expired values are still shown while they are refetched. Otherwise they are dropped.
+ *	@param {Number} [options.maxEntries]	The maximum number of values to retain.
+ *	@returns {Object} cache
+ *	@private
+ */
+export default function createCache(options) {
+	let { maxAge, stale, maxEntries, hydrationMaxAge=10000 } = options || {},
+		entries = {},
+		size = 0,
+		counter = 0;
+
+	function isExpired(entry, age) {
+		return age!==undefined && Date.now() - entry.time >= age;
+	}
+
+	function remove(key) {
+		if (Object.prototype.hasOwnProperty.call(entries, key)) {
+			delete entries[key];
+			size--;
+		}
+	}
+
+	// drop the least recently used entries until we're within maxEntries
+	function evict() {
+		while (maxEntries!==undefined && size>maxEntries) {
+			let oldest;
+			for (let key in entries) {
+				if (Object.prototype.hasOwnProperty.call(entries, key) && (oldest===undefined || entries[key].used<entries[oldest].used)) {
+					oldest = key;
+				}
+			}
+			remove(oldest);
+		}
+	}
+
+	return {
+		// returns `{ value, fresh }` for a key, or `undefined` if there is no usable entry.
+		// expired entries are dropped unless `stale` is enabled. `overrides` can give a reader its own `maxAge` and `stale`.
+		get(key, overrides) {
+			let entry = Object.prototype.hasOwnProperty.call(entries, key) ? entries[key] : undefined;
+			if (!entry) return;
+			let age = overrides && overrides.maxAge!==undefined ? overrides.maxAge : maxAge,
+				keep = overrides && overrides.stale!==undefined ? overrides.stale : stale,
+				expired = isExpired(entry, age);
+			if (expired && !keep) {
+				remove(key);
+				return;
+			}
+			entry.used = ++counter;
+			let fresh = age!==undefined ? !expired : entry.hydrated===true && Date.now() - entry.time < hydrationMaxAge;
+			let result = { value: entry.value, fresh };
+			// the pages loaded after the first for a paginated call, starting with it
+			if (entry.pages) result.pages = entry.pages;
+			return result;
+		},
+
+		// `descriptor` is the `[namespace, path, ...args]` call that produced the value
+		set(key, value, descriptor, hydrated) {
+			if (!Object.prototype.hasOwnProperty.call(entries, key)) size++;
+			entries[key] = { value, descriptor, hydrated, time: Date.now(), used: ++counter };
+			evict();
+			return value;
+		},
+
+		// keeps every page loaded for a paginated call in the entry of its first page (the call's own result), as long as that is still the cached value.
+		// setting a new value drops them.
+		setPages(key, pages) {
+			let entry = Object.prototype.hasOwnProperty.call(entries, key) ? entries[key] : undefined;
+			if (entry && entry.value===pages[0]) entry.pages = pages;
+		},
+
+		delete: remove,
+
+		keys() {
+			return Object.keys(entries);
+		},
+
+		// returns the raw entry for a key without affecting expiry or eviction
+		peek(key) {
+			return Object.prototype.hasOwnProperty.call(entries, key) ? entries[key] : undefined;
+		}
+	};
+}
@@ -0,0 +1,70 @@
+import * as preact from 'preact';
+import createStore from './store';
+
+const { h, Component } = preact;
+
+/** The context `useWire()` and `wire()` obtain models from (requires Preact X, otherwise `undefined`).
+ *	Its value is shaped like legacy context: an Object of models, optionally with a store as `wiretie`.
+ *	[WireProvider](#wireprovider) provides it, but it can also be provided directly.
+ *
+ *	@name WireContext
+ *	@example
+ *	<WireContext.Provider value={{ news: newsModel() }}>
+ *		<App />
+ *	</WireContext.Provider>
+ */
+export const WireContext = preact.createContext ? preact.createContext({}) : undefined;
+
+/** Provides models to the wired components below it, along with the store that caches their values.
+ *	Providers can be nested: models are added to those of the providers above, replacing any in the same namespace.
+ *	Models are provided via [WireContext](#wirecontext) with Preact X, and via legacy context (as a `<Provider>` would) for older versions and for existing components.
+ *
+ *	@name WireProvider
+ *	@param {Object} props
+ *	@param {Object} [props.models]				Models by namespace
+ *	@param {Object} [props.store]				The store to cache values in. Defaults to that of the provider above, or a new store created with `options`.
+ *	@param {Object} [props.options]				Options for a new store (see [createStore](#createstore)), such as `maxAge`, `middleware` for the model calls below it, or the `loading` and `error` placeholders wired components default to
+ *
+ *	@example
+ *	render(
+ *		<WireProvider models={{ news: newsModel(), user: userModel() }} options={{ maxAge: 60000, loading: Spinner }}>
+ *			<App />
+ *		</WireProvider>
+ *	);
+ *
+ *	@example
+ *	// previews a draft with the rest of the app's models
+ *	<WireProvider models={{ news: draftNewsModel(draft) }}>
+ *		<Story id={draft.id} />
+ *	</WireProvider>
+ */
+export class WireProvider extends Component {
+	// the provider's own store, unless one is passed in or inherited
+	getStore(inherited) {
+		let { store, options } = this.props;
+		if (store) return store;
+		if (inherited && !options) return inherited;
+		return this.store || (this.store = createStore(options));
+	}
+
+	// the WireContext value for a given parent value, which is only re-created when it changes (so consumers don't re-render)
+	getValue(parent) {
+		let { models } = this.props,
+			store = this.getStore(parent && parent.wiretie),
+			memo = this.memo;
+		if (!memo || memo.parent!==parent || memo.models!==models || memo.store!==store) {
+			memo = this.memo = { parent, models, store, value: { ...parent, ...models, wiretie: store } };
+		}
+		return memo.value;
+	}
+
+	getChildContext() {
+		// legacy context is merged with that of ancestors by Preact
+		return { ...this.props.models, wiretie: this.getStore(this.context && this.context.wiretie) };
+	}
+
+	render({ children }) {
+		if (!WireContext) return Array.isArray(children) ? children[0] : children;
+		return h(WireContext.Consumer, null, parent => h(WireContext.Provider, { value: this.getValue(parent) }, children));
+	}
+}
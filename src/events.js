@@ -0,0 +1,77 @@
+// functions called with the events of every wired component, regardless of its store
+let listeners = [];
+
+/** Registers a function to be called with an event for every model call made by any wired component.
+ *	Each event is an Object: `{ type, time, namespace, path, args, key, prop, component }`, where `type` is one of:
+ *	`'call'` (a model method was called), `'hit'` (a fresh cached value was used instead), `'resolve'` and `'reject'` (both with a `duration` in milliseconds, `'reject'` with the `error`),
+ *	or `'supersede'` (the call's result was no longer needed because a newer call replaced it).
+ *	To only listen to the components using a given store, use `store.listen(fn)`.
+ *
+ *	@name listen
+ *	@param {Function} fn		Called with each event
+ *	@returns {Function} unlisten
+ *
+ *	@example
+ *	listen( event => {
+ *		if (event.type==='resolve') console.log(`${event.component} ${event.namespace}.${event.path}: ${event.duration}ms`);
+ *	});
+ */
+export function listen(fn) {
+	return addListener(listeners, fn);
+}
+
+/** Calls the global listeners and any others given with an event.
+ *	@private
+ */
+export function emit(event, others) {
+	others.concat(listeners).forEach( fn => fn(event) );
+}
+
+/** Adds `fn` to an Array of listeners, returning a function that removes it.
+ *	@private
+ */
+export function addListener(list, fn) {
+	list.push(fn);
+	return () => {
+		let index = list.indexOf(fn);
+		if (index!==-1) list.splice(index, 1);
+	};
+}
+
+/** Creates an in-memory log of the most recent events, for debugging and for assertions in tests.
+ *	Pass its `record()` method to [listen](#listen-1) or `store.listen()`.
+ *
+ *	@name createEventLog
+ *	@param {Object} [options]
+ *	@param {Number} [options.size=100]	The number of events to keep. Older events are dropped first.
+ *	@returns {Object} `{ record(event), events(), clear(), toJSON() }`
+ *
+ *	@example
+ *	const log = createEventLog({ size: 500 });
+ *	listen(log.record);
+ *	// later, in the console:
+ *	copy(JSON.stringify(log));
+ */
+export function createEventLog(options) {
+	let size = options && options.size || 100,
+		events = [];
+
+	return {
+		record(event) {
+			events.push(event);
+			if (events.length>size) events.splice(0, events.length - size);
+		},
+
+		// returns a copy of the events, oldest first
+		events: () => events.slice(),
+
+		clear() {
+			events = [];
+		},
+
+		// Errors don't serialize their message, so they are converted to `{ name, message }`
+		toJSON: () => events.map( event => (
+			event.error instanceof Error ? { ...event, error: { name: event.error.name, message: event.error.message } } : event
+		))
+	};
+}
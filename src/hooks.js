@@ -0,0 +1,89 @@
+import { useContext, useEffect, useReducer, useRef } from 'preact/hooks';
+import { shallowEqual, assign } from './util';
+import createStore from './store';
+import createWiring from './wiring';
+import { WireContext } from './context';
+
+export { WireContext };
+
+// used when neither `options` nor context provide a store
+const STORE = createStore();
+
+/** A hook that resolves (async) values from a model, like [wire](#wire) does for a wrapped component (requires Preact X).
+ *	Values are resolved, cached and re-resolved exactly as they are by `wire()`. Import it from `wiretie/hooks`.
+ *
+ *	@name useWire
+ *	@param {String|Array<String>} [contextNamespace]	The context property at which to obtain a model instance, or several of them (see [wire](#wire)). If empty or `'*'`, all of context is used.
+ *	@param {Object} [mapping]				Maps value names to model method call descriptors: `'method.name'`, `['method.name', ...args]`, `{ call, retry, requires, getKey, paginate, select, default, validate, debounce, throttle, lazy, enabled, pollInterval, revalidateOnFocus, revalidateOnReconnect }`, a function or a plain value
+ *	@param {Array} [deps]					If given, `mapping` is only re-evaluated when these change. Otherwise it is checked on every render.
+ *	@param {Object} [options]				The same options as `wire()`, except `mutations`. With `lazy: 'visible'`, there is no element to observe, so calls are made once mounted. As there are no props, `enabled` functions (here or in `mapping`) are called without any: `enabled: () => id !== undefined`.
+ *	@returns {Object} `{ values, pending, rejected, deferred, hasMore, refresh, fetchMore }`
+ *
+ *	@example
+ *	import { useWire } from 'wiretie/hooks';
+ *
+ *	function Story({ id }) {
+ *		let { values, pending, rejected } = useWire('news', {
+ *			story: ['getStory', id]
+ *		}, [id]);
+ *		if (pending) return <Spinner />;
+ *		if (rejected) return <Error error={rejected.story} />;
+ *		return <h2>{values.story.title}</h2>;
+ *	}
+ */
+export function useWire(contextNamespace, mapping, deps, options) {
+	let context = useContext(WireContext),
+		update = useReducer( count => count + 1, 0 )[1],
+		ref = useRef(),
+		hook = ref.current;
+
+	if (!hook) {
+		let component = {
+			context,
+			state: {},
+			setState(state) {
+				component.state = assign({}, component.state, state);
+				if (!hook.rendering) update();
+			}
+		};
+		hook = ref.current = {
+			component,
+			wiring: createWiring(component, contextNamespace, () => hook.mapping, options, options && options.store || context && context.wiretie || STORE),
+			refresh: (...names) => hook.wiring.refresh(null, names),
+			fetchMore: prop => hook.wiring.fetchMore(prop)
+		};
+	}
+
+	let { component, wiring } = hook,
+		changed = !hook.deps || !deps || !shallowEqual(deps, hook.deps);
+	component.context = context;
+	if (changed) {
+		hook.mapping = mapping;
+		hook.deps = deps;
+	}
+
+	// resolve synchronously during render (as wire() does before its first render), so cached values are available immediately.
+	// a different model in context refetches everything:
+	hook.rendering = true;
+	try {
+		if (!wiring.update(context, null) && changed) wiring.invoke(null);
+	}
+	finally {
+		hook.rendering = false;
+	}
+
+	useEffect( () => {
+		wiring.subscribe();
+		return wiring.unmount;
+	}, []);
+
+	let { pending, rejected, deferred, hasMore } = component.state,
+		values = {};
+	for (let prop in component.state) {
+		if (prop!=='pending' && prop!=='rejected' && prop!=='deferred' && prop!=='hasMore' && Object.prototype.hasOwnProperty.call(component.state, prop)) {
+			values[prop] = component.state[prop];
+		}
+	}
+
+	return { values, pending, rejected, deferred, hasMore, refresh: hook.refresh, fetchMore: hook.fetchMore };
+}
@@ -1,16 +1,52 @@
 import { h, Component } from 'preact';
-import delve from 'dlv';
-import { join, get, shallowEqual, removeKeyFromObject, noop, assign } from './util'; // eslint-disable-line no-unused-vars
+import { join, shallowEqual, noop, assign, removeKeyFromObject } from './util'; // eslint-disable-line no-unused-vars
+import createStore from './store';
+import createWiring from './wiring';
+import prerender from './ssr';
+import { listen, createEventLog } from './events';
+import { createLocalStorage, createMemoryStorage } from './storage';
+import { WireContext, WireProvider } from './context';
+
+export { createStore, prerender, listen, createEventLog, createLocalStorage, createMemoryStorage, WireContext, WireProvider };
+
+// the prop that passes the value of WireContext (with Preact X) from a Consumer to the wrapper
+const CONTEXT = '__wiretieContext';
+
+// identifies each wire(), so the function paths of its instances share cache keys
+let definitions = 0;
 
 /**	Creates a higher order component (HOC) that resolves (async) values from a model to props.
  *	This allows (but importantly abstracts) context access, and manages re-rendering in response to resolved data.
  *	`wire()` is simply a formalization of what is typically done as side-effects within `componentDidMount()`.
+ *	Models are obtained from a [WireProvider](#wireprovider) (or [WireContext](#wirecontext) with Preact X), falling back to legacy context such as that of `preact-context-provider`.
+ *	Model methods can return plain values, Promises, Observables or async iterators. Streams re-render the component with each value they emit until it unmounts or the call's arguments change.
+ *	When context provides a different model, or the model emits a change event (see `options.listen`), `mapModelToProps` is re-evaluated and all props are refetched.
  *
  *	@name wire
- *	@param {String} [contextNamespace]		The context property at which to obtain a model instance. If empty, all of `context` is used.
- *	@param {Object|Function} [mapToProps]	Maps incoming props to model method call descriptors: `['method.name', ...args]`
+ *	@param {String|Array<String>} [contextNamespace]	The context property at which to obtain a model instance. If empty or `'*'`, all of `context` is used. Pass an Array of properties to wire to several models, using namespaced paths: `'news.getStory'`.
+ *	@param {Object|Function} [mapToProps]	Maps incoming props to model method call descriptors: `['method.name', ...args]`, or `{ call: ['method.name', ...args], retry, requires, getKey, paginate, select, default, validate, debounce, throttle, lazy, enabled, pollInterval, revalidateOnFocus, revalidateOnReconnect }` to configure a single call. Entries that list other entries in `requires` are called once those have resolved, and `call` can be a function of their values (see example). They are rejected if any of those is rejected, and so are circular requirements and requirements that aren't wired. `select` transforms each resolved value before it is cached, `default` is the prop's value until the first one resolves, and values for which `validate` returns false (or throws) are rejected. Once a prop has been called, `debounce` waits until its arguments have stopped changing for that many milliseconds before calling the model again, and `throttle` calls it at most once per that many milliseconds. `lazy`, `enabled`, `pollInterval`, `revalidateOnFocus` and `revalidateOnReconnect` override the options of the same name for a single prop. Entries can also be functions returning a value (or a Promise, etc.): their results are cached for the prop of this `wire()`, shared by all of its instances, so give them a `getKey` when instances differ: `{ call: () => load(props.id), getKey: () => props.id }`.
  *	@param {Function} [mapModelToProps]		Maps model properties/methods to props: `model => ({ prop: model.property })`
- *	@returns {Function} wiring(Child) -> WireDataWrapper<Child>.  The resulting HOC has a method `getWrappedComponent()` that returns the Child that was wrapped
+ *	@param {Object} [options]
+ *	@param {Number} [options.maxAge]		Milliseconds a resolved value stays fresh. Fresh values are used without calling the model again.
+ *	@param {Boolean} [options.stale=false]	If `true`, values older than `maxAge` are still shown while they are refetched. Otherwise they are dropped.
+ *	@param {Number} [options.maxEntries]	The maximum number of resolved values to cache. The least recently used values are evicted first.
+ *	@param {Object} [options.persist]		Persists resolved values to show while refetching after a reload, see [createStore](#createstore)
+ *	@param {Boolean} [options.signal=false]	If `true`, an `AbortSignal` is passed to model methods as a trailing argument. It is aborted once no component needs the call anymore: when they unmount or their call is superseded.
+ *	@param {Object} [options.mutations]		Maps prop names to model methods that write data: `{ save: 'updateStory' }`. Each becomes a prop function that calls the method, tracking its status in `pending` and `rejected` like data props. Mutations can also be configured with an Object: `{ call, refresh, optimistic }` (see example).
+ *	@param {Object} [options.batch]			Maps model methods to batch counterparts: `{ getItem: 'getItems' }`. Calls to `getItem(id)` made in the same tick (by any component using the same store) become a single call to `getItems(ids)`, which should return an Array of results in the same order, or an Object keyed by id. Calls with different remaining arguments are batched separately: `getItems(ids, ...rest)`. Elements that are Errors only reject their own prop.
+ *	@param {Object} [options.store]			A store created by [createStore](#createstore) to share cached values with other `wire()` instances. Identical model calls that are in flight at the same time are shared by all components using the store. Defaults to a store provided into context as `wiretie`, or one private to this `wire()`. `maxAge` and `stale` still apply to this `wire()`'s props in a store, but `maxEntries` and `persist` configure a whole store: combining them with `options.store` throws, and they are ignored when a store is provided into context. Pass those to `createStore()` instead.
+ *	@param {Component} [options.loading]	Rendered instead of the wrapped component while any data props are pending. It receives the incoming props.
+ *	@param {Component} [options.error]		Rendered instead of the wrapped component when any data props are rejected. It receives the incoming props, `rejected` and a `retry()` function that refetches the rejected props.
+ *	@param {Boolean} [options.partial=false]	If `true`, the wrapped component is rendered as soon as it has something to show: `loading` is only rendered while every data prop is pending, and `error` once every data prop is rejected.
+ *	@param {Function} [options.getKey]		Returns the key identifying a call in the cache: `([contextNamespace, path, ...args]) => key`. By default, calls with the same path and equal arguments share a key (object keys are sorted, and `Date`, `Map` and `Set` arguments are compared by their contents).
+ *	@param {Number|Boolean|Object} [options.retry]	Retries rejected model calls: a number of attempts, `true` for the defaults, or `{ attempts=3, delay=500, factor=2, maxDelay=30000, jitter=true, when }`. The delay is multiplied by `factor` after each attempt, and randomized between half and all of it if `jitter` is `true`. `when(error, attempt)` decides if an error is worth retrying. Props stay `pending` until the last attempt settles.
+ *	@param {String} [options.lazy]			Defers calls until a trigger fires: `'visible'` once the component's element enters the viewport, or `'idle'` once the browser is idle (both after mounting). Deferred props are listed in `props.deferred`, not `pending`.
+ *	@param {Function|Boolean} [options.enabled]	Defers calls while `enabled(props)` returns false, making them once it returns true.
+ *	@param {Number} [options.pollInterval]	Refetches props this many milliseconds after their last call settled, for as long as the component is mounted. Values are kept while refetching.
+ *	@param {Boolean} [options.revalidateOnFocus=false]	If `true`, props are refetched when the window regains focus.
+ *	@param {Boolean} [options.revalidateOnReconnect=false]	If `true`, props are refetched when the browser comes back online.
+ *	@param {Function} [options.listen]		Listens for change events from a model: `(model, onChange) => unlisten`, where `unlisten` is a function or an Object with an `unsubscribe()` method. For example, `(model, fn) => model.subscribe(fn)`. Defaults to the store's `listen` option. Models aren't listened to without it.
+ *	@returns {Function} wiring(Child) -> WireDataWrapper<Child>.  The resulting HOC has a method `getWrappedComponent()` that returns the Child that was wrapped. With Preact X, the HOC is a function component (so it can read WireContext), which doesn't accept a `ref`: pass the wrapped component a callback prop to reach it instead.
  *
  *	@example
  *	// resolves news.getTopStories(), passing it down as a "stories" prop
@@ -54,136 +90,134 @@ import { join, get, shallowEqual, removeKeyFromObject, noop, assign } from './ut
  *			</div>
  *		</Provider>
  *	);
+ *
+ *	@example
+ *	// resolves a story and the user's preferences, with a single pending, rejected and refresh prop for both
+ *	let withStoryAndPrefs = wire(['news', 'user'], props => ({
+ *		story: ['news.getStory', props.id],
+ *		prefs: 'user.getPrefs'
+ *	}));
+ *
+ *	@example
+ *	// cache stories for a minute, keeping at most 50 of them around
+ *	let withCachedStory = wire('news', props => ({
+ *		story: ['getStory', props.id]
+ *	}), null, { maxAge: 60000, maxEntries: 50 });
+ *
+ *	@example
+ *	// retries failed calls up to 5 times, except for missing stories
+ *	let withReliableStory = wire('news', props => ({
+ *		story: {
+ *			call: ['getStory', props.id],
+ *			retry: { attempts: 5, when: err => err.status!==404 }
+ *		}
+ *	}));
+ *
+ *	@example
+ *	// resolves the current user, then their inbox
+ *	let withInbox = wire('mail', {
+ *		user: 'getCurrentUser',
+ *		inbox: {
+ *			requires: ['user'],
+ *			call: ({ user }) => ['getInbox', user.id]
+ *		}
+ *	});
+ *
+ *	@example
+ *	// passes down the story's comments, an empty list until they have loaded
+ *	let withComments = wire('news', props => ({
+ *		comments: {
+ *			call: ['getStory', props.id],
+ *			validate: story => Array.isArray(story.comments),
+ *			select: story => story.comments,
+ *			default: []
+ *		}
+ *	}));
+ *
+ *	@example
+ *	// searches as the user types, once they pause for 300ms (the previous results are shown meanwhile, with `pending.results` set)
+ *	let withResults = wire('search', props => ({
+ *		results: { call: ['search', props.query], debounce: 300 }
+ *	}));
+ *
+ *	@example
+ *	// only loads comments once they are scrolled into view, and related stories once the user asks for them
+ *	let withExtras = wire('news', props => ({
+ *		comments: { call: ['getComments', props.id], lazy: 'visible' },
+ *		related: { call: ['getRelated', props.id], enabled: ({ showRelated }) => showRelated }
+ *	}));
+ *
+ *	@example
+ *	// keeps scores up to date every 10 seconds (and when coming back to the tab), with a button that only refreshes the standings
+ *	let withScores = wire('sports', props => ({
+ *		scores: { call: ['getScores', props.league], pollInterval: 10000, revalidateOnFocus: true },
+ *		standings: ['getStandings', props.league]
+ *	}));
+ *	// ...
+ *	<button onClick={() => props.refresh('standings')}>Refresh</button>
+ *
+ *	@example
+ *	// renders a spinner until the story has resolved, or an error message with a retry button
+ *	let withStory = wire('news', props => ({
+ *		story: ['getStory', props.id]
+ *	}), null, {
+ *		loading: Spinner,
+ *		error: ({ retry }) => <button onClick={retry}>Try Again</button>
+ *	});
+ *
+ *	@example
+ *	// resolves the first page of stories, and passes down a fetchMore() prop that appends the next one
+ *	let withStories = wire('news', props => ({
+ *		stories: {
+ *			call: ['getStories', props.category],
+ *			paginate: {
+ *				// the argument to pass (after the others) to fetch the page after `page`, or undefined if there are no more pages:
+ *				next: page => page.nextCursor,
+ *				// adds a page to the prop's value:
+ *				merge: (stories, page) => ({ ...page, items: stories.items.concat(page.items) })
+ *			}
+ *		}
+ *	}));
+ *
+ *	@example
+ *	// passes down a saveStory(id, story) prop that calls news.updateStory(id, story)
+ *	let withEditableStory = wire('news', props => ({
+ *		story: ['getStory', props.id]
+ *	}), null, {
+ *		mutations: {
+ *			saveStory: {
+ *				call: 'updateStory',
+ *				// refetch the "story" prop once the update succeeds:
+ *				refresh: ['story'],
+ *				// show the new story right away, rolling back if the update fails:
+ *				optimistic: (props, id, story) => ({ story })
+ *			}
+ *		}
+ *	});
  */
-export default function wire(contextNamespace, mapToProps={}, mapModelToProps=noop) {
-	const CACHE = {};
+export default function wire(contextNamespace, mapToProps={}, mapModelToProps=noop, options={}) {
+	const STORE = createStore(options),
+		DEFINITION = `wire${++definitions}`;
 
 	return Child => {
 		class WireDataWrapper extends Component {
 
-			invoke(props, keysOnly, refresh) {
-				let source = get(this.context, contextNamespace),
-					isFunction = typeof mapToProps==='function',
-					mapping = isFunction ? mapToProps(props) : mapToProps,
-					keys = [];
-
-				for (let prop in mapping) if (Object.prototype.hasOwnProperty.call(mapping, prop)) {
-					let path = mapping[prop],
-						args = [];
-					if (Array.isArray(path)) {
-						args = path.slice(1);
-						path = path[0];
-					}
-					if (!isFunction) {
-						args = args.map( p => typeof p==='string' && p in props ? props[p] : p );
-					}
-
-					let key = JSON.stringify([contextNamespace, path, ...args]);
-					keys.push(key);
-					if (keysOnly) continue;
-
-					if (!refresh && this.currentKeys[prop]===key) {
-						continue;
-					}
-
-					this.currentKeys[prop] = key;
-
-					let p;
-					if (typeof path==='function') {
-						p = path();
-					}
-					else if (typeof path!=='string') {
-						p = path;
-					}
-					else {
-						let fn = delve(source, path);
-						if (!fn) throw Error(`${contextNamespace}.${path} not found.`);
-						p = fn(...args);
-					}
-
-					if (p && p.then!==undefined && p.__wiretieResolved) {
-						p = p.__wiretieResolved;
-					}
-
-					// magically re-render for async values:
-					if (p && p.then!==undefined) {
-
-						let newState = {};
-						let { pending, rejected } = this.state;
-
-						// set that this property call is pending if not already set
-						if (!pending) {
-							newState.pending = { [prop]: true };
-						}
-						else if (!pending[prop]) {
-							newState.pending = { ...pending, [prop]: true };
-						}
-
-						// Since we're starting a new call for prop, remove any old rejected status for it if it exists
-						if (rejected && rejected[prop]) {
-							newState.rejected = removeKeyFromObject(prop, rejected);
-						}
-
-						let id = ++this.counter;
-						this.tracking[prop] = id;
-
-						// handle the promise results
-						p.then( data => {
-							p.__wiretieResolved = data;
-
-							// cache the result if the promise resolved successfully
-							let newState = {};
-							newState[prop] = CACHE[key] = data;
-							return newState;
-						}).catch( err => {
-							if (this.tracking[prop]!==id) return;
-
-							// If there was an error, use the cached value if available and set the rejected property
-							let rejected = this.state.rejected && { ...this.state.rejected } || {};
-							rejected[prop] = err;
-							let newState = { rejected };
-							if (CACHE[key]) newState[prop] = CACHE[key];
-
-							//Anonymous rejection to log to the console
-							Promise.reject(err);
-
-							return newState;
-						}).then( newState => {
-							if (this.tracking[prop]!==id) return;
-							delete this.tracking[prop];
-
-							// remove the pending key for this prop if necessary
-							let pending = this.state.pending;
-							if (pending && pending[prop]) newState.pending = removeKeyFromObject(prop, pending);
-							this.setState(newState);
-						});
-
-						// if we got a Promise but there's a cached value, use that until the new value comes in:
-						if (typeof CACHE[key] !== 'undefined') {
-							newState[prop] = CACHE[key];
-						}
-						this.setState(newState);
-					}
-					else {
-						//for non-promises, just set the state with the value
-						this.setState({ [prop]: p });
-					}
-				}
-
-				return this.keys = keys;
+			// called by the wiring when the model in context is replaced or emits a change event
+			modelChanged(model, props) {
+				this.mapping = (mapModelToProps || noop)(model, props);
+				this.remapped = true;
+				this.setState({});
 			}
 
 			constructor(props, context) {
+				context = resolveContext(props, context);
 				super(props, context);
 
 				this.state = {};
-				this.currentKeys = {};
+				this.displayName = Child && (Child.displayName || Child.name);
+				this.wiring = createWiring(this, contextNamespace, mapToProps, options, options && options.store || context && context.wiretie || STORE, DEFINITION);
 
-				// used for creating unique IDs.
-				this.tracking = {};
-				this.counter = 0;
-
-				this.mapping = mapModelToProps(get(context, contextNamespace), props);
+				this.mapping = (mapModelToProps || noop)(this.wiring.getModel(), props);
 
 				/** Props passed to your wrapped component.
 				 *	@name props
@@ -203,36 +237,120 @@ export default function wire(contextNamespace, mapToProps={}, mapModelToProps=no
 	 			 *	@type {Object<Error>|undefined}
 	 			 */
 
-				/** A `refresh()` method is passed down as a prop.
-				 *	Invoking this method re-fetches all data props, bypassing the cache.
+				/** Props whose calls are deferred by `lazy` or `enabled` are keys in a `props.deferred` Object, until their trigger fires.
+				 *	If there are no deferred props, `props.deferred` is `undefined`.
+				 *	@name deferred
+				 *	@memberof props
+				 *	@type {Object<Boolean>|undefined}
+				 */
+
+				/** A `refresh(...props)` method is passed down as a prop.
+				 *	Invoking this method re-fetches the given data props (or all of them if none are given), bypassing the cache.
+				 *	Their current values are kept until the new ones resolve, while `pending` and `rejected` are updated as usual.
 				 *	@name refresh
 				 *	@memberof props
 				 *	@function
+				 *	@param {...String} [props]
+				 */
+				this.refresh = (...names) => {
+					this.wiring.refresh(this.props, names);
+				};
+
+				/** A `fetchMore(prop)` method is passed down as a prop.
+				 *	Invoking this method fetches the next page of a paginated prop (or the first paginated prop if omitted), adding it to the prop's value.
+				 *	Each page's status is tracked under the prop's name and the page's number: while the second page of `stories` loads, `pending` has a `'stories.2'` key, and if it fails, the error is put in `rejected` under the same key (calling `fetchMore()` again retries it).
+				 *	Pages are retried, passed a signal and shared while in flight like the first page (per the `retry` and `signal` options). They are cached along with the first page, so they are shown again wherever that is.
+				 *	@name fetchMore
+				 *	@memberof props
+				 *	@function
+				 *	@param {String} [prop]
+				 *	@returns {Promise} Resolves once the page has been added, and rejects if the model method is missing
 				 */
-				this.refresh = () => {
-					this.invoke(this.props, false, true);
+				this.fetchMore = prop => this.wiring.fetchMore(prop);
+
+				/** If there are paginated props with more pages to fetch, their names will be keys in a `props.hasMore` Object.
+				 *	@name hasMore
+				 *	@memberof props
+				 *	@type {Object<Boolean>|undefined}
+				 */
+
+				// refetches the data props that were rejected, for the `error` component
+				this.retry = () => {
+					let rejected = this.state.rejected,
+						refresh = {};
+					this.wiring.props.forEach( prop => {
+						if (rejected && rejected[prop]) refresh[prop] = true;
+					});
+					this.wiring.invoke(this.props, false, refresh);
 				};
+
+				// placeholders default to the ones configured for the store
+				let defaults = this.wiring.store.options || {},
+					{ loading, error, partial } = options || {};
+				this.loading = loading || defaults.loading;
+				this.error = error || defaults.error;
+				this.partial = partial!==undefined ? partial : defaults.partial;
 			}
 
 			componentWillMount() {
-				this.invoke(this.props);
+				this.wiring.invoke(this.props);
+			}
+
+			componentDidMount() {
+				this.wiring.subscribe();
 			}
 
-			componentWillReceiveProps(nextProps) {
-				if (!shallowEqual(nextProps, this.props) && join(this.keys)!==join(this.invoke(nextProps, true))) {
-					this.invoke(nextProps);
+			componentWillReceiveProps(nextProps, nextContext) {
+				// a different model refetches everything, otherwise only calls with new arguments are made
+				if (this.wiring.update(resolveContext(nextProps, nextContext), nextProps)) return;
+				if (!shallowEqual(nextProps, this.props) && join(this.wiring.keys)!==join(this.wiring.invoke(nextProps, true))) {
+					this.wiring.invoke(nextProps);
 				}
 			}
 
 			shouldComponentUpdate(props, state) {
+				if (this.remapped) {
+					this.remapped = false;
+					return true;
+				}
 				return !shallowEqual(props, this.props) || !shallowEqual(state, this.state);
 			}
 
+			componentWillUnmount() {
+				this.wiring.unmount();
+			}
+
 			render(props, state) {
-				return h(Child, { refresh: this.refresh, ...this.mapping, ...props, ...state });
+				if (WireContext) props = removeKeyFromObject(CONTEXT, props) || {};
+				if (this.loading || this.error) {
+					// mutations are tracked in the same Objects, but only data props are waited for
+					let names = this.wiring.props,
+						pending = names.filter( prop => state.pending && state.pending[prop] ).length,
+						rejected = names.filter( prop => state.rejected && state.rejected[prop] ).length;
+
+					if (this.error && rejected && (!this.partial || rejected===names.length)) {
+						return h(this.error, { ...props, rejected: state.rejected, retry: this.retry });
+					}
+					if (this.loading && pending && (!this.partial || pending===names.length)) {
+						return h(this.loading, props);
+					}
+				}
+				return h(Child, { refresh: this.refresh, fetchMore: this.fetchMore, ...this.mapping, ...this.wiring.actions, ...props, ...state });
 			}
 		}
-		WireDataWrapper.getWrappedComponent = Child && Child.getWrappedComponent || (() => Child);
-		return WireDataWrapper;
+		let Wired = WireDataWrapper;
+		if (WireContext) {
+			Wired = props => h(WireContext.Consumer, null, value => h(WireDataWrapper, { ...props, [CONTEXT]: value }));
+		}
+		Wired.getWrappedComponent = Child && Child.getWrappedComponent || (() => Child);
+		return Wired;
 	};
 }
+
+/** Models provided via WireContext (with Preact X) take precedence over those in legacy context.
+ *	@private
+ */
+function resolveContext(props, context) {
+	let value = props && props[CONTEXT];
+	return value ? { ...context, ...value } : context;
+}
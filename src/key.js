@@ -0,0 +1,43 @@
+/** Serializes a `[namespace, path, ...args]` call descriptor (or any value) into a stable key.
+ *	Plain values serialize as they would with `JSON.stringify()`, except that object keys are sorted,
+ *	`undefined` is kept distinct from `null`, `Date`, `Map` and `Set` values are serialized by their contents, and circular references don't throw.
+ *	@private
+ *	@param {*} value
+ *	@returns {String} key
+ */
+export default function getKey(value) {
+	return serialize(value, []);
+}
+
+function serialize(value, parents) {
+	if (value===undefined) return 'undefined';
+	if (typeof value==='function') return 'function';
+	if (typeof value==='number' || typeof value==='symbol' || typeof value==='bigint') return String(value);
+	if (value===null || typeof value!=='object') return JSON.stringify(value);
+	if (parents.indexOf(value)!==-1) return '[Circular]';
+
+	parents.push(value);
+	let key;
+	if (value instanceof Date) {
+		key = `Date(${value.getTime()})`;
+	}
+	else if (Array.isArray(value)) {
+		key = `[${value.map( item => serialize(item, parents) ).join(',')}]`;
+	}
+	else if (typeof Map==='function' && value instanceof Map) {
+		let entries = [];
+		value.forEach( (item, k) => entries.push(`${serialize(k, parents)}=>${serialize(item, parents)}`) );
+		key = `Map{${entries.sort().join(',')}}`;
+	}
+	else if (typeof Set==='function' && value instanceof Set) {
+		let items = [];
+		value.forEach( item => items.push(serialize(item, parents)) );
+		key = `Set[${items.sort().join(',')}]`;
+	}
+	else {
+		// undefined properties are left out, as they are by JSON.stringify():
+		key = `{${Object.keys(value).sort().filter( k => value[k]!==undefined ).map( k => `${JSON.stringify(k)}:${serialize(value[k], parents)}` ).join(',')}}`;
+	}
+	parents.pop();
+	return key;
+}
@@ -0,0 +1,33 @@
+/** Calls `call()` again when the Promise it returns rejects, waiting longer between each attempt.
+ *	`options` is a number of attempts, `true` for the defaults, or `{ attempts, delay, factor, maxDelay, jitter, when }`.
+ *	Retrying stops once `signal` is aborted.
+ *	@private
+ *	@param {Function} call
+ *	@param {Number|Boolean|Object} options
+ *	@param {AbortSignal} [signal]
+ *	@returns {*} the value returned by the first call, or a Promise for the last attempt
+ */
+export default function retry(call, options, signal) {
+	let value = call();
+	if (!options || !value || value.then===undefined) return value;
+
+	if (typeof options!=='object') options = typeof options==='number' ? { attempts: options } : {};
+	let { attempts=3, delay=500, factor=2, maxDelay=30000, jitter=true, when } = options,
+		attempt = 1;
+
+	let retryFailed = err => {
+		if (attempt>=attempts || signal && signal.aborted || when && !when(err, attempt)) throw err;
+
+		// exponential backoff, randomized between half and all of the delay so failed clients don't retry in lockstep:
+		let wait = Math.min(delay * Math.pow(factor, attempt - 1), maxDelay);
+		if (jitter) wait *= 0.5 + Math.random() / 2;
+		attempt++;
+
+		return new Promise( resolve => setTimeout(resolve, wait) ).then( () => {
+			if (signal && signal.aborted) throw err;
+			return call();
+		}).then(undefined, retryFailed);
+	};
+
+	return value.then(undefined, retryFailed);
+}
@@ -0,0 +1,58 @@
+import { h, Component } from 'preact';
+import createStore from './store';
+import { WireContext } from './context';
+
+/** Exposes a store into context as `wiretie`, where wired components look for it.
+ *	With Preact X, it's also provided through WireContext, so that WireProviders below inherit it.
+ *	@private
+ */
+class StoreProvider extends Component {
+	getChildContext() {
+		return { wiretie: this.props.store };
+	}
+
+	render({ children, store }) {
+		let child = Array.isArray(children) ? children[0] : children;
+		return WireContext ? h(WireContext.Provider, { value: { wiretie: store } }, child) : child;
+	}
+}
+
+/** Renders a tree to an HTML string once every wired component in it has resolved its data.
+ *	The tree is rendered repeatedly, waiting for the model calls started by each pass, until a pass starts no new calls.
+ *	Rejected values aren't cached, so the next pass makes their calls again. Calls that were already waited for don't count as new, so failures end the passes instead of repeating them until `maxPasses`.
+ *	The resulting `data` can be passed to `store.hydrate()` on the client, so the first client render matches without refetching.
+ *
+ *	@name prerender
+ *	@param {VNode} vnode					The tree to render
+ *	@param {Object} options
+ *	@param {Function} options.render		A string renderer, typically `preact-render-to-string`
+ *	@param {Object} [options.store]			The store to collect data into. Defaults to a new store. [WireProviders](#wireprovider) in the tree use it too, unless they are given their own `store` or `options`.
+ *	@param {Number} [options.maxPasses=10]	Stop waiting for data after this many passes
+ *	@returns {Promise<Object>} `{ html, data }`
+ *
+ *	@example
+ *	// on the server:
+ *	import render from 'preact-render-to-string';
+ *	prerender(<App />, { render }).then( ({ html, data }) => {
+ *		// escapes "<", so that values containing "</script>" can't end the script early
+ *		let json = JSON.stringify(data).replace(/</g, '\\u003c');
+ *		res.send(`${html}<script>window.__WIRETIE__=${json}</script>`);
+ *	});
+ *
+ *	// on the client:
+ *	const store = createStore();
+ *	store.hydrate(window.__WIRETIE__);
+ *	render(<Provider wiretie={store}><App /></Provider>, document.body);
+ */
+export default function prerender(vnode, { render, store=createStore(), maxPasses=10 }) {
+	let pass = count => {
+		let html = render(h(StoreProvider, { store }, vnode));
+		return store.settled().then( waited => {
+			if (!waited || count>=maxPasses) return { html, data: store.toJSON() };
+			// use everything resolved so far as-is in the next pass:
+			store.hydrate(store.toJSON());
+			return pass(count + 1);
+		});
+	};
+	return pass(1);
+}
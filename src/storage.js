@@ -0,0 +1,105 @@
+import { noop } from './util';
+
+/** Creates a storage adapter that keeps entries in memory, mostly useful for tests.
+ *	Storage adapters have `get(key)`, `set(key, entry)`, `delete(key)` and `keys()` methods, each of which may return a Promise.
+ *
+ *	@name createMemoryStorage
+ *	@returns {Object} storage
+ */
+export function createMemoryStorage() {
+	let entries = {};
+	return {
+		get: key => Object.prototype.hasOwnProperty.call(entries, key) ? entries[key] : undefined,
+		set(key, entry) {
+			entries[key] = entry;
+		},
+		delete(key) {
+			delete entries[key];
+		},
+		keys: () => Object.keys(entries)
+	};
+}
+
+/** Creates a storage adapter for `localStorage`, or anything with the same interface (such as `sessionStorage`).
+ *	Entries are stored as JSON under prefixed keys.
+ *
+ *	@name createLocalStorage
+ *	@param {Object} [options]
+ *	@param {Storage} [options.storage=localStorage]
+ *	@param {String} [options.prefix='wiretie:']	Prepended to keys, so entries can be told apart from other data in the same storage
+ *	@returns {Object} storage
+ */
+export function createLocalStorage(options) {
+	let { storage=typeof localStorage!=='undefined' ? localStorage : undefined, prefix='wiretie:' } = options || {};
+	return {
+		get(key) {
+			let json = storage.getItem(prefix + key);
+			return json ? JSON.parse(json) : undefined;
+		},
+		set(key, entry) {
+			storage.setItem(prefix + key, JSON.stringify(entry));
+		},
+		delete(key) {
+			storage.removeItem(prefix + key);
+		},
+		keys() {
+			let keys = [];
+			for (let i=0; i<storage.length; i++) {
+				let key = storage.key(i);
+				if (key && key.substring(0, prefix.length)===prefix) keys.push(key.substring(prefix.length));
+			}
+			return keys;
+		}
+	};
+}
+
+/** Reads and writes resolved values to a storage adapter, discarding entries from other versions or that have expired.
+ *	Storage errors (such as exceeded quotas) are ignored: persistence is only ever a shortcut.
+ *	@private
+ *	@param {Object} options		`{ storage, version, maxAge }`
+ */
+export function createPersistence({ storage, version=1, maxAge=86400000 }) {
+	function valid(entry) {
+		return entry && entry.version===version && (entry.expires===undefined || entry.expires>Date.now());
+	}
+
+	return {
+		// calls `fn` with the value stored for `key`, if it is still valid
+		restore(key, fn) {
+			attempt( () => storage.get(key), entry => {
+				if (valid(entry)) fn(entry.value);
+				else if (entry) attempt( () => storage.delete(key) );
+			});
+		},
+
+		save(key, value, descriptor) {
+			let entry = { value, descriptor, version };
+			if (maxAge!==Infinity) entry.expires = Date.now() + maxAge;
+			attempt( () => storage.set(key, entry) );
+		},
+
+		// deletes the entries whose descriptors match
+		invalidate(matches) {
+			attempt( () => storage.keys(), keys => keys.forEach( key => {
+				attempt( () => storage.get(key), entry => {
+					if (!entry || matches(entry.descriptor)) attempt( () => storage.delete(key) );
+				});
+			}));
+		}
+	};
+}
+
+/** Calls `fn` with the result of `op()`, whether it is returned directly or via a Promise, ignoring errors.
+ *	@private
+ */
+function attempt(op, fn=noop) {
+	let result;
+	try {
+		result = op();
+	}
+	catch (err) {
+		return;
+	}
+	if (result && typeof result.then==='function') result.then(fn, noop);
+	else fn(result);
+}
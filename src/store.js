@@ -0,0 +1,218 @@
+import createCache from './cache';
+import { noop } from './util';
+import getKey from './key';
+import { emit, addListener } from './events';
+import createBatcher from './batch';
+import { createPersistence } from './storage';
+
+/** Creates a store of resolved values that can be shared between `wire()` instances.
+ *	Components wired to the same store share cached values and in-flight model calls, and can be told to refetch via `invalidate()`.
+ *
+ *	@name createStore
+ *	@param {Object} [options]				Cache options, see [wire](#wire): `maxAge`, `stale` and `maxEntries`, and `hydrationMaxAge` (see `hydrate()`). Components wired to the store also default to its `loading`, `error`, `partial` and `listen` options.
+ *	@param {Object} [options.persist]		Persists resolved values, so they can be shown while refetching after a reload: `{ storage, version, maxAge }`
+ *	@param {Object} options.persist.storage		A storage adapter, such as [createLocalStorage](#createlocalstorage)
+ *	@param {*} [options.persist.version=1]		Stored values from other versions are discarded. Change this when the shape of your data changes.
+ *	@param {Number} [options.persist.maxAge=86400000]	Milliseconds until stored values are discarded
+ *	@param {Array<Function>} [options.middleware]	Functions that every model call made by components wired to the store goes through, in order: `(context, next) => result`. `context` is `{ namespace, path, args, key, prop, component }`, and `next()` calls the next middleware (and finally the model method with `context.args`), returning its result. Middleware can change `context.args`, return a value without calling `next()`, or transform the results and errors of `next()` before they are cached.
+ *	@returns {Object} store
+ *
+ *	@example
+ *	const store = createStore({ maxAge: 60000 });
+ *	const withStory = wire('news', props => ({
+ *		story: ['getStory', props.id]
+ *	}), null, { store });
+ *
+ *	// after saving a story, refetch it in every component that displays it:
+ *	news.updateStory(1234, story).then( () => store.invalidate('news', 'getStory', 1234) );
+ *
+ *	@example
+ *	// show the values from the last visit while refetching them
+ *	const store = createStore({
+ *		persist: { storage: createLocalStorage(), version: 2 }
+ *	});
+ *
+ *	@example
+ *	// adds an auth token to every call, and gives errors a consistent shape
+ *	const store = createStore({
+ *		middleware: [
+ *			(context, next) => {
+ *				context.args = context.args.concat({ token: auth.token });
+ *				return next();
+ *			},
+ *			(context, next) => Promise.resolve(next()).catch( err => {
+ *				throw { message: err.message, status: err.status || 500, call: `${context.namespace}.${context.path}` };
+ *			})
+ *		]
+ *	});
+ */
+export default function createStore(options) {
+	let cache = createCache(options),
+		listeners = [],
+		instrumentation = [],
+		inflight = [],
+		// the keys of calls that settled() has waited for
+		waited = {},
+		requests = {},
+		persistence = options && options.persist && createPersistence(options.persist);
+
+	return {
+		cache,
+		options: options || {},
+
+		// coalesces calls to a batch method made in the same tick, see ./batch.js
+		batch: createBatcher(),
+
+		// caches a resolved value, also writing it to storage if values are persisted
+		set(key, value, descriptor) {
+			if (persistence) persistence.save(key, value, descriptor);
+			return cache.set(key, value, descriptor);
+		},
+
+		// calls `fn` with the value persisted for `key`, if there is one (possibly asynchronously)
+		restore(key, fn) {
+			if (persistence) persistence.restore(key, fn);
+		},
+
+		// registers a function to be called with a `matches(descriptor)` predicate whenever values are invalidated
+		subscribe(fn) {
+			return addListener(listeners, fn);
+		},
+
+		/** Registers a function to be called with an event for every model call made by components using this store.
+		 *	The events are described at [listen](#listen-1).
+		 *	@name listen
+		 *	@memberof createStore
+		 *	@param {Function} fn
+		 *	@returns {Function} unlisten
+		 */
+		listen(fn) {
+			return addListener(instrumentation, fn);
+		},
+
+		// reports an event to the store's listeners and the global ones
+		emit(event) {
+			emit(event, instrumentation);
+		},
+
+		/** Drops cached values and refetches them in every mounted component that uses them.
+		 *	Omitted arguments match anything: `invalidate('news')` matches every call to the news model.
+		 *	@name invalidate
+		 *	@memberof createStore
+		 *	@param {String} [namespace]		The context namespace the model was wired from
+		 *	@param {String} [path]			The model method
+		 *	@param {...*} [args]			Leading arguments the method was called with
+		 */
+		invalidate(...filter) {
+			let matches = descriptor => matchDescriptor(filter, descriptor);
+			cache.keys().forEach( key => {
+				if (matches(cache.peek(key).descriptor)) cache.delete(key);
+			});
+			if (persistence) persistence.invalidate(matches);
+			listeners.slice().forEach( fn => fn(matches) );
+		},
+
+		// calls `call(signal)`, or joins an identical call that is already in flight for `key`.
+		// returns the call's `value` and a `release()` function to call when it is no longer needed:
+		// an AbortSignal (if `signal` is true) is only aborted once every caller has released it.
+		request(key, call, force, signal) {
+			let entry = key!==undefined && !force && requests[key];
+			if (!entry) {
+				let controller = signal && typeof AbortController==='function' ? new AbortController() : undefined,
+					value = call(controller && controller.signal),
+					abort = () => controller && controller.abort();
+
+				// only pending Promises can be shared
+				if (!value || value.then===undefined) return { value, release: abort };
+
+				entry = { value, abort, count: 0 };
+				if (key!==undefined) {
+					requests[key] = entry;
+					let done = () => {
+						if (requests[key]===entry) delete requests[key];
+					};
+					value.then(done, done);
+				}
+			}
+
+			entry.count++;
+			let released = false;
+			return {
+				value: entry.value,
+				release() {
+					if (released) return;
+					released = true;
+					if (--entry.count===0) {
+						if (requests[key]===entry) delete requests[key];
+						entry.abort();
+					}
+				}
+			};
+		},
+
+		// keeps track of a model call (identified by `key`) until it settles
+		track(promise, key) {
+			let call = { promise, key },
+				done = () => {
+					let index = inflight.indexOf(call);
+					if (index!==-1) inflight.splice(index, 1);
+				};
+			inflight.push(call);
+			promise.then(done, done);
+			return promise;
+		},
+
+		/** Returns a Promise that resolves once all model calls started so far have settled.
+		 *	@name settled
+		 *	@memberof createStore
+		 *	@returns {Promise<Boolean>} `true` if there were any new calls to wait for. Calls with the same key as one that was already waited for (such as a rejected call that is made again by the next render) are waited for, but aren't new.
+		 */
+		settled() {
+			let calls = inflight.slice(),
+				any = calls.some( call => call.key===undefined || !waited[call.key] );
+			calls.forEach( call => {
+				if (call.key!==undefined) waited[call.key] = true;
+			});
+			return Promise.all(calls.map( call => call.promise.then(noop, noop) )).then( () => any );
+		},
+
+		/** Returns the resolved values in the store as a JSON-serializable Object.
+		 *	Because this is named `toJSON()`, the store can also be passed directly to `JSON.stringify()`.
+		 *	@name toJSON
+		 *	@memberof createStore
+		 *	@returns {Object} data
+		 */
+		toJSON() {
+			let data = {};
+			cache.keys().forEach( key => {
+				let { value, descriptor } = cache.peek(key);
+				data[key] = { value, descriptor };
+			});
+			return data;
+		},
+
+		/** Seeds the store with data obtained from `toJSON()`, typically on the server.
+		 *	Hydrated values are used without calling the model until they expire or are invalidated.
+		 *	Without a `maxAge`, they only stay fresh for the store's `hydrationMaxAge` (10 seconds by default): long enough for the first render, after which components that mount call the model again.
+		 *	@name hydrate
+		 *	@memberof createStore
+		 *	@param {Object} data
+		 */
+		hydrate(data) {
+			for (let key in data) if (Object.prototype.hasOwnProperty.call(data, key)) {
+				cache.set(key, data[key].value, data[key].descriptor, true);
+			}
+		}
+	};
+}
+
+/** Checks if a `[namespace, path, ...args]` call descriptor starts with the values in `filter`.
+ *	@private
+ */
+function matchDescriptor(filter, descriptor) {
+	if (!descriptor) return false;
+	for (let i=0; i<filter.length; i++) {
+		if (i>=descriptor.length || filter[i]!==descriptor[i] && getKey(filter[i])!==getKey(descriptor[i])) return false;
+	}
+	return true;
+}
@@ -0,0 +1,93 @@
+import { h, render } from 'preact';
+import createStore from './store';
+import { WireProvider } from './context';
+
+// the stores of trees rendered by renderWired(), which flushWire() waits for
+let stores = [];
+
+/** Creates a fake model for tests, whose methods record their calls.
+ *	Each method is described by a value to resolve with, a function to call, or an Error to reject with.
+ *	Methods have a `calls` Array of the arguments they were called with, and the model's `calls` Array holds every call as `{ method, args }`.
+ *
+ *	@name createMockModel
+ *	@param {Object} methods
+ *	@returns {Object} model
+ *
+ *	@example
+ *	const news = createMockModel({
+ *		getStory: id => ({ id, title: 'Story' }),
+ *		getTopStories: [],
+ *		getComments: new Error('Not found')
+ *	});
+ *	// ...
+ *	expect(news.getStory.calls).to.eql([[1]]);
+ */
+export function createMockModel(methods) {
+	let model = { calls: [] };
+	Object.keys(methods).forEach( method => {
+		let result = methods[method];
+		let fn = model[method] = (...args) => {
+			fn.calls.push(args);
+			model.calls.push({ method, args });
+			if (typeof result==='function') return result(...args);
+			return result instanceof Error ? Promise.reject(result) : Promise.resolve(result);
+		};
+		fn.calls = [];
+	});
+	return model;
+}
+
+/** Renders a tree within a [WireProvider](#wireprovider) of models (and a new store), for testing wired components and those that `useWire()`.
+ *
+ *	@name renderWired
+ *	@param {VNode} vnode						The tree to render
+ *	@param {Object} [options]
+ *	@param {Object} [options.context]			Models to provide into context, by namespace
+ *	@param {Object} [options.store]				The store to provide into context. Defaults to a new store, so tests don't share cached values.
+ *	@param {Element} [options.container]		The element to render into. Defaults to a new `<div>`.
+ *	@returns {Object} `{ container, store, rerender(vnode), unmount() }`
+ *
+ *	@example
+ *	const { container } = renderWired(<Story id={1} />, {
+ *		context: { news: createMockModel({ getStory: { title: 'Hello' } }) }
+ *	});
+ *	await flushWire();
+ *	expect(container.textContent).to.equal('Hello');
+ */
+export function renderWired(vnode, options) {
+	let { context, store=createStore(), container=document.createElement('div') } = options || {},
+		root;
+
+	let mount = tree => root = render(h(WireProvider, { models: context, store }, tree), container, root);
+	mount(vnode);
+	stores.push(store);
+
+	return {
+		container,
+		store,
+		rerender: mount,
+		unmount() {
+			let index = stores.indexOf(store);
+			if (index!==-1) stores.splice(index, 1);
+			render(h(() => null), container, root);
+		}
+	};
+}
+
+/** Returns a Promise that resolves once every model call made by wired components has settled, and they have re-rendered.
+ *	Calls started as a result (such as by props that `require` others) are waited for as well.
+ *
+ *	@name flushWire
+ *	@param {Object} [store]						The store to wait for. Defaults to those of every tree rendered by `renderWired()`.
+ *	@param {Number} [maxPasses=10]				Stop waiting after this many rounds of calls
+ *	@returns {Promise}
+ */
+export function flushWire(store, maxPasses=10) {
+	let pass = count => Promise.all((store ? [store] : stores).map( s => s.settled() ))
+		// Preact renders after a tick:
+		.then( waited => new Promise( resolve => setTimeout( () => resolve(waited.indexOf(true)!==-1) ) ))
+		.then( waited => {
+			if (waited && count<maxPasses) return pass(count + 1);
+		});
+	return pass(1);
+}
@@ -0,0 +1,8 @@
+import wire, { createStore, prerender, listen, createEventLog, createLocalStorage, createMemoryStorage, WireContext, WireProvider } from './index';
+import { assign } from './util';
+
+/** The entry of the UMD/CommonJS build (`main`), whose export is `wire()` itself, as it has always been.
+ *	The named exports of `src/index.js` are attached to it: `require('wiretie').createStore`.
+ *	@private
+ */
+export default assign(wire, { createStore, prerender, listen, createEventLog, createLocalStorage, createMemoryStorage, WireContext, WireProvider });
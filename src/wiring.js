@@ -0,0 +1,1037 @@
+import delve from 'dlv';
+import { get, shallowEqual, removeKeyFromObject, noop } from './util';
+import retry from './retry';
+import getKey from './key';
+
+// used to give the function paths of wirings without a definition their own keys
+let wirings = 0;
+
+/** Resolves a mapping of props to model calls on behalf of a component, tracking `pending` and `rejected` state and discarding outdated results.
+ *	This is shared by `wire()` and `useWire()`. The component only needs `context`, `props`, `state` and `setState()`.
+ *	If it has a `modelChanged(model, props)` method, that is called whenever the model is replaced or emits a change event.
+ *	Its `displayName` (if any) identifies it in instrumentation events.
+ *	@private
+ *	@param {Object} component
+ *	@param {String|Array<String>} [contextNamespace]
+ *	@param {Object|Function} [mapToProps]
+ *	@param {Object} [options]
+ *	@param {Object} store
+ *	@param {String} [definition]	Identifies the `wire()` that created the wiring, so that the function paths of all of its instances share keys.
+ *	Without one, function paths are keyed by wiring, and their cached values are dropped when it unmounts.
+ *	@returns {Object} wiring
+ */
+export default function createWiring(component, contextNamespace, mapToProps, options, store, definition) {
+	// wiring to several models resolves namespaced paths (`'news.getStory'`) against all of them
+	let multiple = !contextNamespace || contextNamespace==='*' || Array.isArray(contextNamespace),
+		currentKeys = {},
+		descriptors = {},
+		// used for creating unique IDs.
+		tracking = {},
+		counter = 0,
+		// functions that stop in-flight calls, by prop
+		cleanups = {},
+		// props that other props require
+		required = {},
+		// the model calls are made on, and a function that stops listening to its change events
+		model = getModel(component.context, contextNamespace),
+		unlisten,
+		id = definition || ++wirings,
+		// the keys of function paths that only this wiring uses
+		ownKeys = {},
+		// props that were refreshed while waiting for the props they require
+		forced = {},
+		// the errors in `rejected` of props that can't be called, such as those whose requirements were rejected
+		blocked = {},
+		// the current model call for each prop, as reported to instrumentation listeners
+		calls = {},
+		// the configuration and loaded pages of paginated props
+		pagination = {},
+		// calls postponed by `debounce` or `throttle`, when each prop's model was last called, and the props whose postponed call is due
+		timers = {},
+		called = {},
+		due = {},
+		// `lazy` triggers that have fired, functions that stop those that were started, and whether the component has mounted (so its element can be observed)
+		fired = {},
+		triggers = {},
+		mounted = false,
+		// the descriptors of the current mapping, the timers of polling props, and the focus and online event listeners (by type)
+		configs = {},
+		polls = {},
+		revalidators = {};
+
+	// `maxEntries` and `persist` only take effect in the store created with them
+	if (options && options.store && (options.maxEntries!==undefined || options.persist)) {
+		throw Error('`maxEntries` and `persist` configure a whole store, so they can\'t be combined with `options.store`. Pass them to createStore() instead.');
+	}
+
+	function invoke(props, keysOnly, refresh) {
+		let isFunction = typeof mapToProps==='function',
+			mapping = isFunction ? mapToProps(props) : mapToProps,
+			keys = [];
+
+		// Object descriptors configure a call: `{ call: ['method.name', ...args], retry, requires, getKey, paginate, select, default, validate, debounce, throttle, lazy, enabled, pollInterval, revalidateOnFocus, revalidateOnReconnect }`
+		let entries = {};
+		for (let prop in mapping) if (Object.prototype.hasOwnProperty.call(mapping, prop)) {
+			let entry = mapping[prop];
+			entries[prop] = entry && typeof entry==='object' && !Array.isArray(entry) && 'call' in entry ? entry : { call: entry };
+		}
+		let problems = {},
+			order = wiring.props = sortByRequirements(entries, problems);
+
+		if (!keysOnly) {
+			required = {};
+			configs = entries;
+			listenForRevalidation();
+		}
+
+		for (let i=0; i<order.length; i++) {
+			let prop = order[i],
+				config = entries[prop],
+				path = config.call,
+				args = [];
+
+			// circular requirements and requirements that aren't wired are rejected
+			if (problems[prop]) {
+				keys.push(undefined);
+				if (!keysOnly) wait(prop, config, false, problems[prop]);
+				continue;
+			}
+
+			// disabled entries, and lazy ones whose trigger hasn't fired yet, are deferred
+			if (!triggered(prop, config, props)) {
+				keys.push(undefined);
+				if (!keysOnly) defer(prop, config);
+				continue;
+			}
+			if (!keysOnly) undefer(prop);
+
+			// entries that require other props run once those have resolved, with their values
+			if (config.requires) {
+				let status = requirementStatus(config.requires);
+				if (!keysOnly) config.requires.forEach( name => required[name] = true );
+				if (status!=='resolved') {
+					keys.push(undefined);
+					if (!keysOnly) {
+						if (refresh===true || refresh && refresh[prop]===true) forced[prop] = true;
+						if (status==='deferred') defer(prop, config);
+						else wait(prop, config, status==='pending', status==='rejected' ? rejectedRequirement(prop, config.requires) : undefined);
+					}
+					continue;
+				}
+				if (!keysOnly) block(prop);
+				if (typeof path==='function') {
+					let values = {};
+					config.requires.forEach( name => values[name] = component.state[name] );
+					path = path(values, props);
+				}
+			}
+
+			if (Array.isArray(path)) {
+				args = path.slice(1);
+				path = path[0];
+			}
+			if (!isFunction) {
+				args = args.map( p => typeof p==='string' && p in props ? props[p] : p );
+			}
+
+			let [namespace, method] = splitPath(path),
+				descriptor = [namespace, method, ...args],
+				key = (config.getKey || options && options.getKey || getKey)(descriptor);
+			// function paths are usually re-created with each mapping, so they are identified by the definition and prop they are wired to instead:
+			if (typeof path==='function') {
+				key = `${id}.${prop}:${key}`;
+				if (!definition) ownKeys[key] = true;
+			}
+			// selected values are cached apart from the whole result, which identical calls still share:
+			let requestKey = key;
+			if (config.select) key += `#${prop}`;
+			keys.push(key);
+			if (keysOnly) continue;
+
+			// `refresh` is either `true` (all props) or an Object of prop names to refetch
+			let force = refresh===true || refresh && refresh[prop]===true || forced[prop]===true;
+			delete forced[prop];
+
+			if (!force && currentKeys[prop]===key) {
+				// the arguments changed back before a postponed call was made, or the props it requires resolved to the same arguments:
+				// either may have left it pending without a call in flight
+				cancelPostponed(prop);
+				let pending = component.state.pending;
+				if (!tracking[prop] && pending && pending[prop]) component.setState({ pending: removeKeyFromObject(prop, pending) });
+				continue;
+			}
+
+			// changes to the arguments of props that `debounce` or `throttle` are postponed, showing the previous value meanwhile
+			if (!force && postpone(prop, config)) continue;
+			cancelPostponed(prop);
+			stopPolling(prop);
+			called[prop] = Date.now();
+
+			currentKeys[prop] = key;
+			descriptors[prop] = descriptor;
+
+			// a new first page makes any next page being fetched obsolete
+			stopFetchingMore(prop);
+			if (config.paginate) {
+				pagination[prop] = { ...config.paginate, path, args, key, descriptor, config, pages: [] };
+			}
+			else {
+				delete pagination[prop];
+			}
+
+			// the previous call for this prop (if any) is no longer needed
+			if (tracking[prop]) emit('supersede', prop);
+			abort(prop);
+			calls[prop] = { namespace, path: method, args, key, prop, component: component.displayName, start: Date.now() };
+
+			let cached = store.cache.get(key, options);
+
+			// fresh values are used as-is, without calling the model again:
+			if (cached && cached.fresh && !force) {
+				delete tracking[prop];
+				let newState = assignValue({}, prop, cached.value, cached.pages);
+				let { pending, rejected } = component.state;
+				if (pending && pending[prop]) newState.pending = removeKeyFromObject(prop, pending);
+				if (rejected && rejected[prop]) newState.rejected = removeKeyFromObject(prop, rejected);
+				component.setState(newState);
+				emit('hit', prop);
+				delete calls[prop];
+				poll(prop);
+				continue;
+			}
+
+			let p;
+			if (typeof path!=='string' && typeof path!=='function') {
+				// plain values aren't calls
+				delete calls[prop];
+				p = path;
+			}
+			else {
+				let fn = typeof path==='function' ? path : delve(model, path),
+					// methods with a batch counterpart are called together with the other calls made in the same tick
+					batchPath = typeof path==='string' && options && options.batch && options.batch[path],
+					batchFn = batchPath && delve(model, batchPath);
+				if (batchPath && !batchFn) throw Error(`${name(batchPath)} not found.`);
+				if (!fn && !batchFn) throw Error(`${name(path)} not found.`);
+				emit('call', prop);
+
+				let retryOptions = 'retry' in config ? config.retry : options && options.retry,
+					passSignal = options && options.signal;
+
+				// identical model calls share a single in-flight request (function paths are never identical).
+				// retries also need a signal, so they stop once no component needs the call anymore.
+				// each attempt goes through the store's middleware
+				let request = store.request(typeof path==='string' ? requestKey : undefined, signal => retry( () => callModel({ namespace, path: method, args: args.slice(), key: requestKey, prop }, args => {
+					let modelSignal = passSignal ? signal : undefined;
+					if (batchFn) return store.batch(batchFn, args);
+					return typeof path==='function' ? fn(modelSignal) : modelSignal ? fn(...args, modelSignal) : fn(...args);
+				}), retryOptions, signal), force, passSignal || !!retryOptions);
+				p = request.value;
+				cleanups[prop] = request.release;
+			}
+
+			if (p && p.then!==undefined && p.__wiretieResolved) {
+				p = p.__wiretieResolved;
+			}
+
+			if (config.select || config.validate) {
+				p = transform(p, prop, config);
+			}
+
+			let isPromise = p && p.then!==undefined,
+				isObservable = !isPromise && p && typeof p.subscribe==='function',
+				isIterable = !isPromise && p && typeof Symbol==='function' && Symbol.asyncIterator && typeof p[Symbol.asyncIterator]==='function';
+
+			// magically re-render for async values:
+			if (isPromise || isObservable || isIterable) {
+
+				let newState = {};
+				let { pending, rejected } = component.state;
+
+				// set that this property call is pending if not already set
+				if (!pending) {
+					newState.pending = { [prop]: true };
+				}
+				else if (!pending[prop]) {
+					newState.pending = { ...pending, [prop]: true };
+				}
+
+				// Since we're starting a new call for prop, remove any old rejected status for it if it exists
+				if (rejected && rejected[prop]) {
+					newState.rejected = removeKeyFromObject(prop, rejected);
+				}
+
+				// if there's a cached value, use that until the new value comes in:
+				if (cached) {
+					assignValue(newState, prop, cached.value, cached.pages);
+				}
+				// otherwise, the prop's default (if any) is used until its first value comes in:
+				else if ('default' in config && !(prop in component.state)) {
+					newState[prop] = config.default;
+				}
+
+				let id = ++counter;
+				tracking[prop] = id;
+				component.setState(newState);
+
+				// otherwise, show a value persisted by a previous session (if any) until the new value comes in:
+				if (!cached) {
+					store.restore(key, value => {
+						let pending = component.state.pending;
+						if (tracking[prop]===id && pending && pending[prop]) component.setState(assignValue({}, prop, value));
+					});
+				}
+
+				if (isPromise) {
+					resolvePromise(p, prop, id, key, descriptor);
+				}
+				else {
+					resolveStream(p, isObservable, prop, id, key, descriptor, config);
+				}
+			}
+			else {
+				//for non-promises, just set the state with the value
+				delete cleanups[prop];
+				component.setState(assignValue({}, prop, p));
+				emit('resolve', prop);
+				poll(prop);
+			}
+		}
+
+		return wiring.keys = keys;
+	}
+
+	// 'resolved' once all of the given props have values, 'rejected' if any were rejected, 'deferred' if any haven't been called, otherwise 'pending'
+	function requirementStatus(names) {
+		let { pending, rejected } = component.state,
+			status = 'resolved';
+		for (let i=0; i<names.length; i++) {
+			let name = names[i];
+			if (rejected && rejected[name]) return 'rejected';
+			if (pending && pending[name]) {
+				if (status==='resolved') status = 'pending';
+			}
+			else if (!(name in component.state)) status = 'deferred';
+		}
+		return status;
+	}
+
+	// the error for a prop whose requirement was rejected
+	function rejectedRequirement(prop, names) {
+		let rejected = component.state.rejected,
+			name = names.filter( name => rejected && rejected[name] )[0];
+		return Error(`Wired prop "${prop}" requires "${name}", which was rejected.`);
+	}
+
+	// holds off on a prop whose requirements haven't resolved, so it is called again once they have.
+	// while they are pending, the prop keeps its call (and key), so it is only called again if its arguments change once they resolve.
+	// if they can't resolve, the prop is rejected with an `error` saying why.
+	function wait(prop, config, isPending, error) {
+		cancelPostponed(prop);
+		if (!isPending) {
+			abort(prop);
+			delete tracking[prop];
+			delete currentKeys[prop];
+			delete descriptors[prop];
+			delete forced[prop];
+			stopPolling(prop);
+		}
+
+		if ('default' in config && !(prop in component.state)) {
+			component.setState({ [prop]: config.default });
+		}
+
+		let pending = component.state.pending;
+		if (isPending && !(pending && pending[prop])) {
+			component.setState({ pending: { ...pending, [prop]: true } });
+		}
+		else if (!isPending && pending && pending[prop]) {
+			component.setState({ pending: removeKeyFromObject(prop, pending) });
+		}
+		block(prop, error);
+	}
+
+	// puts an `error` that keeps a prop from being called in `rejected` (logging it like other rejections), or clears the one it had
+	function block(prop, error) {
+		let rejected = component.state.rejected,
+			previous = blocked[prop];
+		if (error) {
+			// the same problem is only reported once
+			if (previous && previous.message===error.message) error = previous;
+			else Promise.reject(error);
+			blocked[prop] = error;
+			if (!(rejected && rejected[prop]===error)) component.setState({ rejected: { ...rejected, [prop]: error } });
+		}
+		else if (previous) {
+			delete blocked[prop];
+			if (rejected && rejected[prop]===previous) component.setState({ rejected: removeKeyFromObject(prop, rejected) });
+		}
+	}
+
+	// the value of an entry's setting, defaulting to the option of the same name
+	function setting(config, name) {
+		return config && name in config ? config[name] : options && options[name];
+	}
+
+	// schedules the next call for a prop with a `pollInterval`, once its current call has settled (and the component has mounted)
+	function poll(prop) {
+		stopPolling(prop);
+		let interval = setting(configs[prop], 'pollInterval');
+		if (!interval || !mounted || !(prop in currentKeys)) return;
+		polls[prop] = setTimeout( () => {
+			delete polls[prop];
+			invoke(component.props, false, { [prop]: true });
+		}, interval);
+	}
+
+	function stopPolling(prop) {
+		if (polls[prop]) {
+			clearTimeout(polls[prop]);
+			delete polls[prop];
+		}
+	}
+
+	// refetches the props that revalidate on `setting` (unless their call is still in flight), keeping their current values meanwhile
+	function revalidate(name) {
+		let refresh = {},
+			any = false;
+		for (let prop in currentKeys) if (Object.prototype.hasOwnProperty.call(currentKeys, prop)) {
+			if (!tracking[prop] && setting(configs[prop], name)) refresh[prop] = any = true;
+		}
+		if (any) invoke(component.props, false, refresh);
+	}
+
+	// listens for focus and online events only while mounted and some prop revalidates on them
+	function listenForRevalidation() {
+		revalidateOn('focus', 'revalidateOnFocus');
+		revalidateOn('online', 'revalidateOnReconnect');
+	}
+
+	function revalidateOn(type, name) {
+		let enabled = mounted && typeof addEventListener==='function' && Object.keys(configs).some( prop => setting(configs[prop], name) );
+		if (enabled && !revalidators[type]) {
+			addEventListener(type, revalidators[type] = () => revalidate(name));
+		}
+		else if (!enabled && revalidators[type]) {
+			removeEventListener(type, revalidators[type]);
+			delete revalidators[type];
+		}
+	}
+
+	// refetches the given props (or every prop if none are given), bypassing the cache
+	function refresh(props, names) {
+		// ignore anything that isn't a prop name, such as the event of an `onClick={refresh}` handler
+		names = (names || []).filter( name => typeof name==='string' );
+		if (!names.length) return invoke(props, false, true);
+		let only = {};
+		names.forEach( name => only[name] = true );
+		invoke(props, false, only);
+	}
+
+	// returns false for an entry that is disabled, or whose `lazy` trigger hasn't fired yet (starting it if possible)
+	function triggered(prop, config, props) {
+		let enabled = 'enabled' in config ? config.enabled : options && options.enabled,
+			lazy = 'lazy' in config ? config.lazy : options && options.lazy;
+		if (typeof enabled==='function') {
+			// hooks have no props, so their `enabled` functions are called without any, and use the values in scope instead
+			if (!props && enabled.length) throw Error(`The enabled() function of "${prop}" takes props, which useWire() has none of: use the values in scope instead.`);
+			if (!(props ? enabled(props) : enabled())) return false;
+		}
+		else if (enabled===false) return false;
+		if (!lazy || fired[lazy]) return true;
+		if (mounted) startTrigger(lazy);
+		return !!fired[lazy];
+	}
+
+	// starts watching for a `lazy` trigger: the component's element entering the viewport (`'visible'`), or the browser being idle (`'idle'`)
+	function startTrigger(type) {
+		if (triggers[type] || fired[type]) return;
+		let fire = () => {
+			stopTrigger(type);
+			fired[type] = true;
+			invoke(component.props);
+		};
+
+		if (type==='visible') {
+			let element = component.base;
+			// without a way to tell, the component is considered visible
+			if (typeof IntersectionObserver!=='function' || !element || element.nodeType!==1) {
+				fired[type] = true;
+				return;
+			}
+			let observer = new IntersectionObserver( entries => {
+				if (entries.some( entry => entry.isIntersecting )) fire();
+			});
+			observer.observe(element);
+			triggers[type] = () => observer.disconnect();
+		}
+		else if (type==='idle') {
+			if (typeof requestIdleCallback==='function') {
+				let handle = requestIdleCallback(fire);
+				triggers[type] = () => cancelIdleCallback(handle);
+			}
+			else {
+				let timer = setTimeout(fire, 1);
+				triggers[type] = () => clearTimeout(timer);
+			}
+		}
+		else {
+			throw Error(`Unknown lazy trigger "${type}".`);
+		}
+	}
+
+	function stopTrigger(type) {
+		if (triggers[type]) {
+			triggers[type]();
+			delete triggers[type];
+		}
+	}
+
+	// marks a prop whose call is deferred in `deferred`, stopping any call it was making
+	function defer(prop, config) {
+		wait(prop, config, false);
+		let deferred = component.state.deferred;
+		if (!(deferred && deferred[prop])) component.setState({ deferred: { ...deferred, [prop]: true } });
+	}
+
+	function undefer(prop) {
+		let deferred = component.state.deferred;
+		if (deferred && deferred[prop]) component.setState({ deferred: removeKeyFromObject(prop, deferred) });
+	}
+
+	// schedules a call for a prop whose arguments changed, if it has a `debounce` or `throttle` delay, returning true if it was postponed.
+	// the first call for a prop is made right away.
+	function postpone(prop, config) {
+		let delay = config.debounce || config.throttle;
+		if (!delay || due[prop] || !(prop in currentKeys)) return false;
+
+		if (config.debounce) {
+			// each change restarts the delay
+			clearTimeout(timers[prop]);
+		}
+		else if (!timers[prop]) {
+			// throttled props are called at most once per delay, with the latest arguments
+			let elapsed = Date.now() - called[prop];
+			if (elapsed>=delay) return false;
+			delay -= elapsed;
+		}
+		else {
+			return true;
+		}
+
+		timers[prop] = setTimeout( () => {
+			delete timers[prop];
+			due[prop] = true;
+			invoke(component.props);
+			delete due[prop];
+		}, delay);
+
+		let pending = component.state.pending;
+		if (!(pending && pending[prop])) component.setState({ pending: { ...pending, [prop]: true } });
+		return true;
+	}
+
+	function cancelPostponed(prop) {
+		if (timers[prop]) {
+			clearTimeout(timers[prop]);
+			delete timers[prop];
+		}
+	}
+
+	// calls a model method through the store's middleware (if any), each of which is called with `(context, next)`.
+	// `next()` calls the next middleware, and finally `call(context.args)`.
+	function callModel(context, call) {
+		let middleware = store.options.middleware || [];
+		context.component = component.displayName;
+		let next = i => i<middleware.length ? middleware[i](context, () => next(i + 1)) : call(context.args);
+		return next(0);
+	}
+
+	// re-evaluates the mapping when a prop that others require settles
+	function settled(prop) {
+		if (required[prop]) invoke(component.props);
+	}
+
+	// finishes the current call for a prop, clearing its pending status
+	function finish(prop, newState) {
+		delete tracking[prop];
+		delete cleanups[prop];
+
+		// remove the pending key for this prop if necessary (but not while a newer call is postponed)
+		let pending = component.state.pending;
+		if (pending && pending[prop] && !timers[prop]) newState.pending = removeKeyFromObject(prop, pending);
+		component.setState(newState);
+		settled(prop);
+		poll(prop);
+	}
+
+	// adds the value resolved for a prop to `newState`.
+	// for paginated props, that is their first page: it is merged with the `pages` fetchMore() loaded after it (which start with it), if any
+	function assignValue(newState, prop, value, pages) {
+		let paging = pagination[prop];
+		if (!paging) {
+			newState[prop] = value;
+			return newState;
+		}
+
+		pages = paging.pages = pages || (value===undefined ? [] : [value]);
+		let merge = paging.merge || ((merged, page) => merged.concat(page)),
+			last = pages[pages.length - 1],
+			hasMore = component.state.hasMore;
+		newState[prop] = pages.length ? pages.slice(1).reduce(merge, pages[0]) : undefined;
+		newState.hasMore = pages.length && paging.next(last, pages)!==undefined ? { ...hasMore, [prop]: true } : hasMore && removeKeyFromObject(prop, hasMore);
+		return newState;
+	}
+
+	// fetches the page after the last one loaded for a paginated prop, adding it to the prop's value and to the cache entry of its first page.
+	// each page's status is tracked in `pending` and `rejected` under the prop's name and the page's number (`${prop}.2` for the second page).
+	// pages are retried, passed a signal and shared while in flight like any other call, keyed by their arguments (including the cursor).
+	function fetchMore(prop) {
+		if (!prop) prop = Object.keys(pagination)[0];
+		let paging = pagination[prop],
+			pages = paging ? paging.pages : [],
+			cursor = pages.length ? paging.next(pages[pages.length - 1], pages) : undefined,
+			status = `${prop}.${pages.length + 1}`;
+
+		// there is nothing more to fetch until the first page has loaded, or while the next page is loading
+		if (cursor===undefined || tracking[status]) return Promise.resolve();
+
+		let fn = delve(model, paging.path);
+		if (!fn) return Promise.reject(Error(`${name(paging.path)} not found.`));
+
+		let id = ++counter,
+			{ pending, rejected } = component.state,
+			newState = { pending: { ...pending, [status]: true } };
+		tracking[status] = id;
+		paging.status = status;
+		if (rejected && rejected[status]) newState.rejected = removeKeyFromObject(status, rejected);
+		component.setState(newState);
+
+		let [namespace, method] = paging.descriptor,
+			args = paging.args.concat([cursor]),
+			key = (options && options.getKey || getKey)([namespace, method, ...args]),
+			retryOptions = 'retry' in paging.config ? paging.config.retry : options && options.retry,
+			passSignal = options && options.signal,
+			p;
+		try {
+			let request = store.request(key, signal => retry( () => callModel({ namespace, path: method, args: args.slice(), key, prop }, args => (
+				passSignal ? fn(...args, signal) : fn(...args)
+			)), retryOptions, signal), false, passSignal || !!retryOptions);
+			cleanups[status] = request.release;
+			p = transform(Promise.resolve(request.value), prop, paging.config);
+		}
+		catch (err) {
+			p = Promise.reject(err);
+		}
+		store.track(p, key);
+
+		let current = () => tracking[status]===id && pagination[prop]===paging;
+		return p.then( page => {
+			if (!current()) return;
+			delete tracking[status];
+			delete cleanups[status];
+			pages = paging.pages.concat([page]);
+			store.cache.setPages(paging.key, pages);
+			component.setState(assignValue({ pending: removeKeyFromObject(status, component.state.pending || {}) }, prop, pages[0], pages));
+		}, err => {
+			if (!current()) return;
+			delete tracking[status];
+			delete cleanups[status];
+			component.setState({
+				rejected: { ...component.state.rejected, [status]: err },
+				pending: removeKeyFromObject(status, component.state.pending || {})
+			});
+		});
+	}
+
+	// stops fetching the next page of a prop, dropping the status of the last page it fetched
+	function stopFetchingMore(prop) {
+		let paging = pagination[prop],
+			status = paging && paging.status;
+		if (!status) return;
+		abort(status);
+		delete tracking[status];
+		let { pending, rejected } = component.state,
+			newState = {};
+		if (pending && pending[status]) newState.pending = removeKeyFromObject(status, pending);
+		if (rejected && rejected[status]) newState.rejected = removeKeyFromObject(status, rejected);
+		if (Object.keys(newState).length) component.setState(newState);
+	}
+
+	// reports what happened to the current call for a prop to instrumentation listeners
+	function emit(type, prop, extra) {
+		let call = calls[prop];
+		if (!call) return;
+		let event = { type, time: Date.now(), ...call, ...extra };
+		if (type!=='call' && type!=='hit') event.duration = event.time - call.start;
+		delete event.start;
+		store.emit(event);
+	}
+
+	// sets the rejected status for a prop, falling back to its cached value
+	function reject(prop, key, err) {
+		let rejected = component.state.rejected && { ...component.state.rejected } || {};
+		rejected[prop] = err;
+		let newState = { rejected };
+		let cached = store.cache.get(key, options);
+		if (cached) assignValue(newState, prop, cached.value, cached.pages);
+
+		emit('reject', prop, { error: err });
+
+		//Anonymous rejection to log to the console
+		Promise.reject(err);
+
+		finish(prop, newState);
+	}
+
+	function resolvePromise(p, prop, id, key, descriptor) {
+		store.track(p, key);
+
+		// handle the promise results
+		p.then( data => {
+			p.__wiretieResolved = data;
+
+			// cache the result if the promise resolved successfully
+			store.set(key, data, descriptor);
+			if (tracking[prop]===id) {
+				emit('resolve', prop);
+				finish(prop, assignValue({}, prop, data));
+			}
+		}, err => {
+			if (tracking[prop]===id) reject(prop, key, err);
+		});
+	}
+
+	// subscribes to an Observable or async iterator, re-rendering with each value it emits
+	function resolveStream(stream, isObservable, prop, id, key, descriptor, config) {
+		let next = value => {
+				if (tracking[prop]!==id) return;
+				if (config.select || config.validate) {
+					try {
+						value = selectValue(value, prop, config);
+					}
+					catch (err) {
+						return error(err);
+					}
+				}
+				let newState = assignValue({}, prop, store.set(key, value, descriptor));
+				let pending = component.state.pending;
+				if (pending && pending[prop]) newState.pending = removeKeyFromObject(prop, pending);
+				component.setState(newState);
+				emit('resolve', prop);
+				settled(prop);
+			},
+			error = err => {
+				if (tracking[prop]===id) reject(prop, key, err);
+			},
+			complete = () => {
+				if (tracking[prop]===id) finish(prop, {});
+			},
+			abortSignal = cleanups[prop],
+			stop;
+
+		if (isObservable) {
+			let subscription = stream.subscribe({ next, error, complete });
+			stop = () => typeof subscription==='function' ? subscription() : subscription && subscription.unsubscribe();
+		}
+		else {
+			let iterator = stream[Symbol.asyncIterator](),
+				step = () => iterator.next().then( result => {
+					if (tracking[prop]!==id) return;
+					if (result.done) return complete();
+					next(result.value);
+					step();
+				}, error);
+			stop = () => iterator.return && iterator.return();
+			step();
+		}
+
+		// stop listening when the call is superseded or the component unmounts
+		if (tracking[prop]===id) {
+			cleanups[prop] = () => {
+				stop();
+				if (abortSignal) abortSignal();
+			};
+		}
+		else {
+			stop();
+		}
+	}
+
+	// calls a model method declared in `options.mutations`, tracking its status like a data prop
+	function mutate(prop, args) {
+		let mutation = options.mutations[prop];
+		if (typeof mutation!=='object') mutation = { call: mutation };
+
+		let { call, refresh, optimistic } = mutation,
+			fn = delve(model, call);
+		if (!fn) throw Error(`${name(call)} not found.`);
+
+		let id = ++counter;
+		tracking[prop] = id;
+
+		let { pending, rejected } = component.state,
+			newState = { pending: { ...pending, [prop]: true } },
+			rollback = {};
+		if (rejected && rejected[prop]) newState.rejected = removeKeyFromObject(prop, rejected);
+
+		// show optimistic values right away, remembering what they replaced
+		if (optimistic) {
+			let values = optimistic({ ...component.props, ...component.state }, ...args);
+			for (let key in values) if (Object.prototype.hasOwnProperty.call(values, key)) {
+				rollback[key] = component.state[key];
+				newState[key] = values[key];
+			}
+		}
+		component.setState(newState);
+
+		let p;
+		try {
+			let [namespace, method] = splitPath(call);
+			p = Promise.resolve(callModel({ namespace, path: method, args: args.slice(), prop }, args => fn(...args)));
+		}
+		catch (err) {
+			p = Promise.reject(err);
+		}
+
+		return p.then( result => {
+			if (tracking[prop]===id) {
+				delete tracking[prop];
+				component.setState({ pending: removeKeyFromObject(prop, component.state.pending || {}) });
+
+				// refetch the data props this mutation affects
+				if (refresh===true) {
+					invoke(component.props, false, true);
+				}
+				else if (refresh) {
+					let props = {};
+					refresh.forEach( key => props[key] = true );
+					invoke(component.props, false, props);
+				}
+			}
+			return result;
+		}, err => {
+			if (tracking[prop]===id) {
+				delete tracking[prop];
+				let rejected = { ...component.state.rejected, [prop]: err };
+				component.setState({ ...rollback, rejected, pending: removeKeyFromObject(prop, component.state.pending || {}) });
+			}
+			throw err;
+		});
+	}
+
+	// stops the in-flight call for a prop: aborts its AbortSignal and unsubscribes from streams
+	function abort(prop) {
+		let cleanup = cleanups[prop];
+		if (cleanup) {
+			delete cleanups[prop];
+			cleanup();
+		}
+	}
+
+	// refetch any props matching a call that was invalidated in the store
+	function invalidated(matches) {
+		let refresh;
+		for (let prop in descriptors) {
+			if (Object.prototype.hasOwnProperty.call(descriptors, prop) && matches(descriptors[prop])) {
+				(refresh || (refresh = {}))[prop] = true;
+			}
+		}
+		if (refresh) invoke(component.props, false, refresh);
+	}
+
+	// splits a path into the namespace of the model it belongs to and the method, so calls are identified the same way regardless of how they were wired
+	function splitPath(path) {
+		let index = multiple && typeof path==='string' ? path.indexOf('.') : -1;
+		if (index===-1) return [multiple ? null : contextNamespace, path];
+		return [path.substring(0, index), path.substring(index + 1)];
+	}
+
+	// the full name of a model method, for error messages
+	function name(path) {
+		return splitPath(path).filter(Boolean).join('.');
+	}
+
+	// refetches every prop from the (new) model
+	function remodel(props) {
+		if (component.modelChanged) component.modelChanged(model, props);
+		invoke(props, false, true);
+	}
+
+	// listens for change events from the model, if `options.listen` (or that of the store) says how to
+	function listen() {
+		if (unlisten) unlisten();
+		let onChange = () => remodel(component.props),
+			subscribe = options && options.listen || store.options.listen;
+		if (Array.isArray(contextNamespace)) {
+			let unlisteners = contextNamespace.map( namespace => listenToModel(model[namespace], onChange, subscribe) );
+			unlisten = () => unlisteners.forEach( fn => fn() );
+		}
+		else {
+			unlisten = listenToModel(model, onChange, subscribe);
+		}
+	}
+
+	let unsubscribe;
+
+	let wiring = {
+		store,
+		keys: undefined,
+		// the names of the data props in the mapping, in the order they are called
+		props: [],
+		invoke,
+		refresh,
+		mutate,
+		fetchMore,
+
+		// bound functions for each of `options.mutations`
+		actions: {},
+
+		// start listening for invalidation and model changes (once mounted)
+		subscribe() {
+			unsubscribe = store.subscribe(invalidated);
+			listen();
+
+			// lazy props were deferred until the component's element could be observed
+			mounted = true;
+			if (wiring.keys && wiring.keys.indexOf(undefined)!==-1) invoke(component.props);
+
+			// props that settled before mounting start polling now
+			for (let prop in currentKeys) if (Object.prototype.hasOwnProperty.call(currentKeys, prop)) {
+				if (!tracking[prop] && !polls[prop]) poll(prop);
+			}
+
+			listenForRevalidation();
+		},
+
+		getModel: () => model,
+
+		// re-wires if `context` provides a different model, returning `true` if it did
+		update(context, props) {
+			let next = getModel(context, contextNamespace);
+			// combined models are compared by their properties, since they are re-created (as is context) on each render
+			if (next===model || multiple && next && model && shallowEqual(next, model) && shallowEqual(model, next)) {
+				return false;
+			}
+			model = next;
+			if (unlisten) listen();
+			remodel(props);
+			return true;
+		},
+
+		unmount() {
+			if (unsubscribe) unsubscribe();
+			if (unlisten) unlisten();
+
+			mounted = false;
+			listenForRevalidation();
+
+			// ignore the results of any in-flight calls, and don't make postponed, lazy or polling ones
+			tracking = {};
+			for (let prop in polls) if (Object.prototype.hasOwnProperty.call(polls, prop)) {
+				stopPolling(prop);
+			}
+			for (let type in triggers) if (Object.prototype.hasOwnProperty.call(triggers, type)) {
+				stopTrigger(type);
+			}
+			for (let prop in timers) if (Object.prototype.hasOwnProperty.call(timers, prop)) {
+				cancelPostponed(prop);
+			}
+			for (let prop in cleanups) if (Object.prototype.hasOwnProperty.call(cleanups, prop)) {
+				abort(prop);
+			}
+
+			// nothing else will ever use these
+			for (let key in ownKeys) if (Object.prototype.hasOwnProperty.call(ownKeys, key)) {
+				store.cache.delete(key);
+			}
+		}
+	};
+
+	let mutations = options && options.mutations;
+	for (let name in mutations) if (Object.prototype.hasOwnProperty.call(mutations, name)) {
+		wiring.actions[name] = (...args) => mutate(name, args);
+	}
+
+	return wiring;
+}
+
+/** Obtains the model(s) to wire to from context: a namespace, an Object of models for an Array of namespaces, or all of context for `'*'` or no namespace.
+ *	@private
+ */
+function getModel(context, contextNamespace) {
+	if (Array.isArray(contextNamespace)) {
+		let models = {};
+		contextNamespace.forEach( namespace => models[namespace] = context && context[namespace] );
+		return models;
+	}
+	return get(context, contextNamespace==='*' ? null : contextNamespace);
+}
+
+/** Calls `fn` when a model emits change events, via `subscribe(model, fn)`.
+ *	Models are never listened to by guessing from their methods, since methods like `subscribe()` or `on()` may well be part of their API.
+ *	@private
+ *	@param {Function} [subscribe]	Returns a function (or an Object with an `unsubscribe()` method) that stops listening
+ *	@returns {Function} unlisten
+ */
+function listenToModel(model, fn, subscribe) {
+	if (!model || !subscribe) return noop;
+	let subscription = subscribe(model, fn);
+	return () => typeof subscription==='function' ? subscription() : subscription && subscription.unsubscribe && subscription.unsubscribe();
+}
+
+/** Orders the props in `entries` so that each comes after the props it `requires`.
+ *	Props in a circular requirement, or that require props which aren't wired, are given an Error in `problems`.
+ *	@private
+ */
+function sortByRequirements(entries, problems) {
+	let order = [],
+		visited = {},
+		path = [];
+
+	let visit = prop => {
+		if (visited[prop]===true) return;
+		if (visited[prop]===false) {
+			let cycle = path.slice(path.indexOf(prop)),
+				error = Error(`Circular requirement between wired props: ${cycle.concat(prop).join(' -> ')}`);
+			cycle.forEach( name => problems[name] = error );
+			return;
+		}
+		visited[prop] = false;
+		path.push(prop);
+		(entries[prop].requires || []).forEach( name => {
+			if (Object.prototype.hasOwnProperty.call(entries, name)) visit(name);
+			else problems[prop] = Error(`Wired prop "${prop}" requires "${name}", which is not wired.`);
+		});
+		path.pop();
+		visited[prop] = true;
+		order.push(prop);
+	};
+
+	for (let prop in entries) if (Object.prototype.hasOwnProperty.call(entries, prop)) visit(prop);
+	return order;
+}
+
+/** Validates a resolved value with the prop's `validate` function, then transforms it with its `select` function.
+ *	@private
+ *	@throws {Error} if the value is invalid
+ */
+function selectValue(value, prop, config) {
+	if (config.validate && !config.validate(value)) throw Error(`Invalid value for wired prop "${prop}".`);
+	return config.select ? config.select(value) : value;
+}
+
+/** Applies `selectValue()` to a value or to the result of a Promise, turning invalid values into rejections.
+ *	Observables and async iterators are left as-is, their values are selected as they are emitted.
+ *	@private
+ */
+function transform(value, prop, config) {
+	if (value && typeof value.then==='function') return value.then( data => selectValue(data, prop, config) );
+	if (value && (typeof value.subscribe==='function' || typeof Symbol==='function' && Symbol.asyncIterator && typeof value[Symbol.asyncIterator]==='function')) return value;
+	try {
+		return selectValue(value, prop, config);
+	}
+	catch (err) {
+		return Promise.reject(err);
+	}
+}
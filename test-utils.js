@@ -0,0 +1 @@
+module.exports = require('./dist/test-utils');
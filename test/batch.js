@@ -0,0 +1,62 @@
+import { spy } from 'sinon';
+import chai, { expect } from 'chai';
+import sinonChai from 'sinon-chai';
+import createBatcher from '../src/batch';
+chai.use(sinonChai);
+
+/*eslint-env mocha*/
+
+describe('createBatcher()', () => {
+	it('should coalesce calls made in the same tick', () => {
+		let batch = createBatcher(),
+			getItems = spy( ids => Promise.resolve(ids.map( id => `item ${id}` )) );
+		return Promise.all([
+			batch(getItems, [1]),
+			batch(getItems, [2]),
+			batch(getItems, [1])
+		]).then( results => {
+			expect(getItems).to.have.been.calledOnce.and.calledWithExactly([1, 2]);
+			expect(results).to.eql(['item 1', 'item 2', 'item 1']);
+			return batch(getItems, [3]);
+		}).then( result => {
+			expect(getItems).to.have.been.calledTwice;
+			expect(result).to.equal('item 3');
+		});
+	});
+
+	it('should batch calls with different remaining arguments separately', () => {
+		let batch = createBatcher(),
+			getItems = spy( (ids, lang) => ids.map( id => `${lang} ${id}` ) );
+		return Promise.all([
+			batch(getItems, [1, 'en']),
+			batch(getItems, [2, 'fr']),
+			batch(getItems, [3, 'en'])
+		]).then( results => {
+			expect(getItems).to.have.been.calledTwice;
+			expect(getItems).to.have.been.calledWithExactly([1, 3], 'en');
+			expect(results).to.eql(['en 1', 'fr 2', 'en 3']);
+		});
+	});
+
+	it('should accept results keyed by id', () => {
+		let batch = createBatcher(),
+			getItems = () => ({ a: 'A', b: 'B' });
+		return Promise.all([batch(getItems, ['b']), batch(getItems, ['a'])]).then( results => {
+			expect(results).to.eql(['B', 'A']);
+		});
+	});
+
+	it('should reject individual items and whole batches', () => {
+		let batch = createBatcher(),
+			getItems = ids => ids.map( id => id===2 ? Error('missing') : id ),
+			fail = () => { throw Error('failed'); };
+		let settle = p => p.then( value => ({ value }), error => ({ error: error.message }) );
+		return Promise.all([
+			settle(batch(getItems, [1])),
+			settle(batch(getItems, [2])),
+			settle(batch(fail, [3]))
+		]).then( results => {
+			expect(results).to.eql([{ value: 1 }, { error: 'missing' }, { error: 'failed' }]);
+		});
+	});
+});
@@ -0,0 +1,66 @@
+import { expect } from 'chai';
+import createCache from '../src/cache';
+
+/*eslint-env mocha*/
+
+describe('createCache()', () => {
+	it('should store and retrieve values', () => {
+		let cache = createCache();
+		expect(cache.get('a')).to.equal(undefined);
+		expect(cache.set('a', 1)).to.equal(1);
+		expect(cache.get('a')).to.eql({ value: 1, fresh: false });
+		cache.delete('a');
+		expect(cache.get('a')).to.equal(undefined);
+		expect(cache.keys()).to.eql([]);
+	});
+
+	it('should mark values younger than maxAge as fresh', () => {
+		let cache = createCache({ maxAge: 60000 });
+		cache.set('a', 1);
+		expect(cache.get('a')).to.eql({ value: 1, fresh: true });
+	});
+
+	it('should only keep hydrated values fresh for hydrationMaxAge without a maxAge', done => {
+		let cache = createCache({ hydrationMaxAge: 10 });
+		cache.set('a', 1, undefined, true);
+		expect(cache.get('a')).to.eql({ value: 1, fresh: true });
+		setTimeout( () => {
+			expect(cache.get('a')).to.eql({ value: 1, fresh: false });
+			done();
+		}, 20);
+	});
+
+	it('should drop expired values unless stale is enabled', () => {
+		let cache = createCache({ maxAge: 0 });
+		cache.set('a', 1);
+		expect(cache.get('a')).to.equal(undefined);
+		expect(cache.keys()).to.eql([]);
+
+		cache = createCache({ maxAge: 0, stale: true });
+		cache.set('a', 1);
+		expect(cache.get('a')).to.eql({ value: 1, fresh: false });
+	});
+
+	it('should evict least recently used values', () => {
+		let cache = createCache({ maxEntries: 2 });
+		cache.set('a', 1);
+		cache.set('b', 2);
+		cache.get('a');
+		cache.set('c', 3);
+		expect(cache.keys()).to.have.members(['a', 'c']);
+	});
+
+	it('should keep the pages of a value until it is replaced', () => {
+		let cache = createCache({ maxAge: 60000 }),
+			first = [1];
+		cache.set('a', first);
+		cache.setPages('a', [[0], [2]]);
+		expect(cache.get('a')).to.eql({ value: first, fresh: true });
+
+		cache.setPages('a', [first, [2]]);
+		expect(cache.get('a')).to.eql({ value: first, fresh: true, pages: [[1], [2]] });
+
+		cache.set('a', [3]);
+		expect(cache.get('a')).to.eql({ value: [3], fresh: true });
+	});
+});
@@ -0,0 +1,113 @@
+import { stub } from 'sinon';
+import chai, { expect } from 'chai';
+import sinonChai from 'sinon-chai';
+import 'undom/register';
+import { h, render } from 'preact';
+import Provider from 'preact-context-provider';
+import wire, { createStore, WireProvider } from '../src';
+chai.use(sinonChai);
+
+/** @jsx h */
+
+/*eslint-env mocha*/
+
+describe('WireProvider', () => {
+	let scratch = document.createElement('div'),
+		mount = jsx => root = render(jsx, scratch, root),
+		root;
+
+	afterEach( () => {
+		mount(<span />);
+	});
+
+	it('should provide models and a store to wired components', done => {
+		const store = createStore();
+		const news = { getStory: stub().returns(Promise.resolve('story')) };
+		const Child = stub().returns(<div />);
+		const Connected = wire('news', { story: 'getStory' })(Child);
+		mount(<WireProvider models={{ news }} store={store}><Connected /></WireProvider>);
+
+		setTimeout( () => {
+			expect(Child.lastCall.args[0]).to.have.property('story', 'story');
+			expect(Object.keys(store.toJSON())).to.have.length(1);
+			done();
+		}, 10);
+	});
+
+	it('should let nested providers replace models and inherit the store', done => {
+		const outer = { getStory: () => Promise.resolve('outer story') },
+			inner = { getStory: () => Promise.resolve('inner story') },
+			user = { getName: () => Promise.resolve('name') },
+			store = createStore();
+		const Child = stub().returns(<div />);
+		const Connected = wire('*', { story: 'news.getStory', name: 'user.getName' })(Child);
+		mount(
+			<WireProvider models={{ news: outer, user }} store={store}>
+				<WireProvider models={{ news: inner }}>
+					<Connected />
+				</WireProvider>
+			</WireProvider>
+		);
+
+		setTimeout( () => {
+			let props = Child.lastCall.args[0];
+			expect(props).to.have.property('story', 'inner story');
+			expect(props).to.have.property('name', 'name');
+			expect(Object.keys(store.toJSON())).to.have.length(2);
+			done();
+		}, 10);
+	});
+
+	it('should default wired components to the placeholders of its options', done => {
+		const Loading = stub().returns(<div />);
+		const Child = stub().returns(<div />);
+		const Connected = wire('news', { story: 'getStory' })(Child);
+		let resolve;
+		const news = { getStory: () => new Promise( r => resolve = r ) };
+		mount(<WireProvider models={{ news }} options={{ loading: Loading }}><Connected /></WireProvider>);
+
+		expect(Loading).to.have.been.called;
+		expect(Child).not.to.have.been.called;
+		resolve('story');
+		setTimeout( () => {
+			expect(Child.lastCall.args[0]).to.have.property('story', 'story');
+			done();
+		}, 10);
+	});
+
+	it('should apply the maxAge option of wired components to its store', done => {
+		const store = createStore(),
+			news = { getStory: stub().callsFake( () => Promise.resolve('story') ) };
+		const Connected = wire('news', { story: 'getStory' }, null, { maxAge: 60000 })( () => <div /> );
+		mount(<WireProvider models={{ news }} store={store}><Connected /></WireProvider>);
+
+		setTimeout( () => {
+			mount(<span />);
+			mount(<WireProvider models={{ news }} store={store}><Connected /></WireProvider>);
+			expect(news.getStory).to.have.been.calledOnce;
+			done();
+		}, 10);
+	});
+
+	it('should ignore the maxEntries and persist options of wired components below a store in context', () => {
+		const news = { getStory: () => 'story' },
+			Child = stub().returns(<div />),
+			Connected = wire('news', { story: 'getStory' }, null, { maxEntries: 10 })(Child);
+		mount(<WireProvider models={{ news }}><Connected /></WireProvider>);
+		expect(Child).to.have.been.calledWithMatch({ story: 'story' });
+	});
+
+	it('should add models to those in legacy context', done => {
+		const user = { getName: () => Promise.resolve('name') },
+			news = { getStory: () => 'story' };
+		const Child = stub().returns(<div />);
+		const Connected = wire(['news', 'user'], { story: 'news.getStory', name: 'user.getName' })(Child);
+		mount(<Provider user={user}><WireProvider models={{ news }}><Connected /></WireProvider></Provider>);
+
+		setTimeout( () => {
+			expect(Child.lastCall.args[0]).to.have.property('story', 'story');
+			expect(Child.lastCall.args[0]).to.have.property('name', 'name');
+			done();
+		}, 10);
+	});
+});
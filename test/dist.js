@@ -0,0 +1,48 @@
+import { expect } from 'chai';
+import { rollup } from 'rollup';
+import { runInNewContext } from 'vm';
+import config from '../rollup.config';
+
+/*eslint-env mocha*/
+
+// builds an entry of the rollup config in memory, and runs it as CommonJS with the given modules
+function build(file, modules) {
+	let options = config.filter( entry => entry.output.file===file )[0];
+	return rollup(options)
+		.then( bundle => bundle.generate(options.output) )
+		.then( ({ output }) => {
+			let module = { exports: {} };
+			runInNewContext(output[0].code, { module, exports: module.exports, require: id => modules[id] });
+			return module.exports;
+		});
+}
+
+describe('dist', function() {
+	this.timeout(20000);
+
+	it('should export wire() from main, with the other exports as its properties', () => build('dist/wiretie.js', { preact: require('preact'), dlv: require('dlv') }).then( exports => {
+		expect(exports).to.be.a('function').with.property('name', 'wire');
+		expect(exports).not.to.have.property('default');
+		['createStore', 'prerender', 'listen', 'createEventLog', 'createLocalStorage', 'createMemoryStorage', 'WireProvider'].forEach( name => {
+			expect(exports).to.have.property(name).that.is.a('function');
+		});
+		expect(exports).to.have.property('WireContext');
+	}));
+
+	it('should build the hooks to CommonJS, obtaining WireContext from main', () => {
+		let WireContext = {};
+		return build('dist/hooks.js', { 'preact/hooks': {}, dlv: require('dlv'), wiretie: { WireContext } }).then( exports => {
+			expect(exports).to.have.property('useWire').that.is.a('function');
+			expect(exports).to.have.property('WireContext', WireContext);
+		});
+	});
+
+	it('should build the test helpers to CommonJS, obtaining WireProvider from main', () => {
+		let WireProvider = () => null;
+		return build('dist/test-utils.js', { preact: require('preact'), dlv: require('dlv'), wiretie: { WireProvider } }).then( exports => {
+			['createMockModel', 'renderWired', 'flushWire'].forEach( name => {
+				expect(exports).to.have.property(name).that.is.a('function');
+			});
+		});
+	});
+});
@@ -0,0 +1,44 @@
+import { spy } from 'sinon';
+import chai, { expect } from 'chai';
+import sinonChai from 'sinon-chai';
+import { listen, emit, createEventLog } from '../src/events';
+chai.use(sinonChai);
+
+/*eslint-env mocha*/
+
+describe('events', () => {
+	describe('listen()', () => {
+		it('should call global and given listeners until unlistened', () => {
+			let fn = spy(),
+				other = spy(),
+				unlisten = listen(fn);
+			emit({ type: 'call' }, [other]);
+			expect(fn).to.have.been.calledOnce.and.calledWith({ type: 'call' });
+			expect(other).to.have.been.calledOnce;
+
+			unlisten();
+			emit({ type: 'call' }, []);
+			expect(fn).to.have.been.calledOnce;
+		});
+	});
+
+	describe('createEventLog()', () => {
+		it('should keep the most recent events', () => {
+			let log = createEventLog({ size: 2 });
+			log.record({ type: 'call' });
+			log.record({ type: 'hit' });
+			log.record({ type: 'resolve' });
+			expect(log.events()).to.eql([{ type: 'hit' }, { type: 'resolve' }]);
+			log.clear();
+			expect(log.events()).to.eql([]);
+		});
+
+		it('should serialize errors', () => {
+			let log = createEventLog();
+			log.record({ type: 'reject', error: new TypeError('failed') });
+			expect(JSON.parse(JSON.stringify(log))).to.eql([
+				{ type: 'reject', error: { name: 'TypeError', message: 'failed' } }
+			]);
+		});
+	});
+});
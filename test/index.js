@@ -4,9 +4,11 @@ import sinonChai from 'sinon-chai';
 import 'undom/register';
 import { h, render } from 'preact';
 import Provider from 'preact-context-provider';
-import wire from '../src';
+import wire, { createStore, listen, createEventLog, createMemoryStorage } from '../src';
 chai.use(sinonChai);
 
+const noop = () => {};
+
 /** @jsx h */
 
 /*eslint-env mocha*/
@@ -250,73 +252,1586 @@ describe('wiretie', () => {
 			});
 		});
 
-		describe('refresh', () => {
-			it('should pass a refresh() function prop', () => {
+		describe('caching', () => {
+			it('should use fresh cached values without calling the model again', done => {
+				const foo = { bar: spy( a => Promise.resolve(a.toUpperCase()) ) };
 				const Child = stub().returns(<div />);
-				const Connected = wire('a')(Child);
-				mount(<Connected />);
-				expect(Child).to.have.been.calledOnce.and.calledWithMatch({ refresh: match.func });
+				const Connected = wire('foo', props => ({
+					bar: ['bar', props.a]
+				}), null, { maxAge: 60000 })(Child);
+				mount(<Provider foo={foo}><Connected a="a" /></Provider>);
+				setTimeout( () => {
+					mount(<Provider foo={foo}><Connected a="b" /></Provider>);
+					setTimeout( () => {
+						Child.reset();
+						foo.bar.resetHistory();
+						mount(<Provider foo={foo}><Connected a="a" /></Provider>);
+						expect(foo.bar).not.to.have.been.called;
+						expect(Child).to.have.been.calledOnce.and.calledWithMatch({ a: 'a', bar: 'A', pending: undefined });
+						done();
+					});
+				});
 			});
 
-			it('should re-resolve data when refresh() is called', done => {
-				let count = 0;
-				const foo = { bar: spy( () => Promise.resolve(++count) ) };
+			it('should drop expired values', done => {
+				const foo = { bar: spy( a => Promise.resolve(a.toUpperCase()) ) };
 				const Child = stub().returns(<div />);
-				const mapToProps = spy( () => ({ bar: 'bar' }) );
-				const Connected = wire('foo', mapToProps)(Child);
+				const Connected = wire('foo', props => ({
+					bar: ['bar', props.a]
+				}), null, { maxAge: 0 })(Child);
+				mount(<Provider foo={foo}><Connected a="a" /></Provider>);
+				setTimeout( () => {
+					mount(<Provider foo={foo}><Connected a="b" /></Provider>);
+					setTimeout( () => {
+						Child.reset();
+						foo.bar.resetHistory();
+						mount(<Provider foo={foo}><Connected a="a" /></Provider>);
+						expect(foo.bar).to.have.been.calledOnce;
+						expect(Child).to.have.been.calledOnce.and.calledWithMatch({ a: 'a', bar: 'B', pending: { bar: true } });
+						done();
+					});
+				});
+			});
+
+			it('should show expired values while refetching if stale is enabled', done => {
+				const foo = { bar: spy( a => Promise.resolve(a.toUpperCase()) ) };
+				const Child = stub().returns(<div />);
+				const Connected = wire('foo', props => ({
+					bar: ['bar', props.a]
+				}), null, { maxAge: 0, stale: true })(Child);
+				mount(<Provider foo={foo}><Connected a="a" /></Provider>);
+				setTimeout( () => {
+					mount(<Provider foo={foo}><Connected a="b" /></Provider>);
+					setTimeout( () => {
+						Child.reset();
+						foo.bar.resetHistory();
+						mount(<Provider foo={foo}><Connected a="a" /></Provider>);
+						expect(foo.bar).to.have.been.calledOnce;
+						expect(Child).to.have.been.calledOnce.and.calledWithMatch({ a: 'a', bar: 'A', pending: { bar: true } });
+						done();
+					});
+				});
+			});
+
+			it('should evict the least recently used values beyond maxEntries', done => {
+				const foo = { bar: spy( a => Promise.resolve(a.toUpperCase()) ) };
+				const Child = stub().returns(<div />);
+				const Connected = wire('foo', props => ({
+					bar: ['bar', props.a]
+				}), null, { maxEntries: 1 })(Child);
+				mount(<Provider foo={foo}><Connected a="a" /></Provider>);
+				setTimeout( () => {
+					mount(<Provider foo={foo}><Connected a="b" /></Provider>);
+					setTimeout( () => {
+						Child.reset();
+						mount(<Provider foo={foo}><Connected a="a" /></Provider>);
+						expect(Child).to.have.been.calledOnce.and.calledWithMatch({ a: 'a', bar: 'B', pending: { bar: true } });
+						done();
+					});
+				});
+			});
+		});
+
+		describe('multiple models', () => {
+			it('should resolve namespaced paths against an Array of namespaces', done => {
+				const news = { getStory: stub().returns(Promise.resolve('story')) };
+				const user = { getPrefs: stub().returns(Promise.resolve('prefs')) };
+				const Child = stub().returns(<div />);
+				const Connected = wire(['news', 'user'], props => ({
+					story: ['news.getStory', props.id],
+					prefs: 'user.getPrefs'
+				}), models => ({ models }))(Child);
+				mount(<Provider news={news} user={user}><Connected id={1} /></Provider>);
+
+				expect(news.getStory).to.have.been.calledOnce.and.calledWithExactly(1);
+				expect(user.getPrefs).to.have.been.calledOnce;
+				expect(Child.lastCall.args[0].models).to.eql({ news, user });
+				expect(Child.lastCall.args[0]).to.have.property('pending').that.eql({ story: true, prefs: true });
+
+				setTimeout( () => {
+					expect(Child.lastCall.args[0]).to.include({ story: 'story', prefs: 'prefs' });
+					done();
+				});
+			});
+
+			it('should identify calls by their model regardless of how they were wired', () => {
+				const news = { getStory: stub().returns(Promise.resolve('story')) };
+				const store = createStore();
+				const Single = wire('news', { story: ['getStory', 1] }, null, { store })( () => <div /> );
+				const All = wire('*', { story: ['news.getStory', 1] }, null, { store })( () => <div /> );
+				mount(<Provider news={news}><div><Single /><All /></div></Provider>);
+				expect(news.getStory).to.have.been.calledOnce;
+
+				// both components refetch:
+				store.invalidate('news', 'getStory');
+				expect(news.getStory).to.have.been.calledThrice;
+			});
+
+			it('should name the model in errors', () => {
+				const Connected = wire(['news', 'user'], { prefs: 'user.getPrefs' })( () => <div /> );
+				expect( () => new Connected({}, { news: {}, user: {} }).componentWillMount() ).to.throw('user.getPrefs not found.');
+			});
+
+			it('should name the model method of mutations in errors', () => {
+				const Connected = wire('foo', null, null, { mutations: { onSave: 'save' } })( () => <div /> );
+				const wrapper = new Connected({}, { foo: {} });
+				expect( () => wrapper.wiring.actions.onSave() ).to.throw('foo.save not found.');
+			});
+		});
+
+		describe('batching', () => {
+			it('should call the batch counterpart once for all rows rendered together', done => {
+				const items = {
+					getItem: spy(),
+					getItems: spy( ids => Promise.resolve(ids.map( id => id===3 ? Error('missing') : `item ${id}` )) )
+				};
+				const Child = stub().returns(<div />);
+				const Row = wire('items', props => ({
+					item: ['getItem', props.id]
+				}), null, { batch: { getItem: 'getItems' } })(Child);
+				mount(<Provider items={items}><div><Row id={1} /><Row id={2} /><Row id={3} /></div></Provider>);
+
+				setTimeout( () => {
+					expect(items.getItem).not.to.have.been.called;
+					expect(items.getItems).to.have.been.calledOnce.and.calledWithExactly([1, 2, 3]);
+					let rendered = {};
+					Child.getCalls().forEach( call => rendered[call.args[0].id] = call.args[0] );
+					expect(rendered[1]).to.have.property('item', 'item 1');
+					expect(rendered[2]).to.have.property('item', 'item 2');
+					expect(rendered[3].rejected.item).to.have.property('message', 'missing');
+					done();
+				});
+			});
+		});
+
+		describe('persistence', () => {
+			it('should show persisted values while refetching and persist new values', done => {
+				const storage = createMemoryStorage();
+				const foo = { bar: stub().returns(Promise.resolve('new')) };
+				const Child = stub().returns(<div />);
+				const store = createStore({ persist: { storage } });
+				storage.set('["foo","bar"]', { value: 'old', descriptor: ['foo', 'bar'], version: 1 });
+
+				const Connected = wire('foo', { bar: 'bar' }, null, { store })(Child);
 				mount(<Provider foo={foo}><Connected /></Provider>);
+				expect(foo.bar).to.have.been.calledOnce;
+				expect(Child.lastCall.args[0]).to.include({ bar: 'old' }).and.have.property('pending').that.eql({ bar: true });
 
-				expect(mapToProps, 'in initial render').to.have.been.calledOnce;
+				setTimeout( () => {
+					expect(Child.lastCall.args[0]).to.include({ bar: 'new' });
+					expect(storage.get('["foo","bar"]')).to.include({ value: 'new', version: 1 });
 
-				expect(Child).to.have.been.calledOnce
-					.and.calledWithMatch({ pending: { bar: true }, rejected: undefined });
+					store.invalidate('foo');
+					expect(storage.keys()).to.eql([]);
+					done();
+				});
+			});
+		});
+
+		describe('pagination', () => {
+			const paginate = { next: page => page.length ? page[page.length - 1] + 1 : undefined };
+
+			it('should append the next page when fetchMore() is called', done => {
+				const pages = { 0: [1, 2], 3: [3, 4], 5: [] };
+				const foo = { list: spy( (category, cursor=0) => Promise.resolve(pages[cursor]) ) };
+				const store = createStore();
+				const Child = stub().returns(<div />);
+				const Connected = wire('foo', props => ({
+					list: { call: ['list', props.category], paginate }
+				}), null, { store })(Child);
+				mount(<Provider foo={foo}><Connected category="a" /></Provider>);
+				expect(Child.lastCall.args[0].hasMore).to.equal(undefined);
 
 				setTimeout( () => {
-					expect(mapToProps, 'in re-render').to.have.been.calledOnce;
-					expect(Child).to.have.been.calledTwice
-						.and.calledWithMatch({ bar: 1, pending: undefined, rejected: undefined });
+					expect(Child.lastCall.args[0]).to.have.property('list').that.eql([1, 2]);
+					expect(Child.lastCall.args[0]).to.have.property('hasMore').that.eql({ list: true });
 
-					let props = Child.secondCall.args[0];
-					expect(props).to.have.property('refresh').that.is.a('function');
-					props.refresh();
+					Child.lastCall.args[0].fetchMore();
+					expect(foo.list).to.have.been.calledTwice.and.calledWithExactly('a', 3);
+					setTimeout( () => {
+						expect(Child.lastCall.args[0]).to.have.property('list').that.eql([1, 2, 3, 4]);
+						// the cache entry of the first page holds the ones after it
+						expect(store.toJSON()).to.have.all.keys('["foo","list","a"]');
+						expect(store.cache.get('["foo","list","a"]').pages).to.eql([[1, 2], [3, 4]]);
 
-					expect(mapToProps).to.have.been.calledTwice;
-					expect(foo.bar).to.have.been.calledTwice;
+						Child.lastCall.args[0].fetchMore('list').then( () => {
+							setTimeout( () => {
+								expect(Child.lastCall.args[0]).to.have.property('list').that.eql([1, 2, 3, 4]);
+								expect(Child.lastCall.args[0].hasMore).to.equal(undefined);
+								done();
+							});
+						});
+					});
+				});
+			});
+
+			it('should track the status of each page separately', done => {
+				let fail;
+				const foo = { list: spy( (cursor=0) => cursor ? new Promise( (resolve, reject) => fail = reject ) : Promise.resolve([1]) ) };
+				const Child = stub().returns(<div />);
+				const Connected = wire('foo', { list: { call: 'list', paginate } })(Child);
+				mount(<Provider foo={foo}><Connected /></Provider>);
 
+				setTimeout( () => {
+					let done2 = Child.lastCall.args[0].fetchMore();
 					setTimeout( () => {
-						expect(Child.callCount).to.equal(4);
-						expect(Child).to.have.been.calledWithMatch({ bar: 1, pending: { bar: true }, rejected: undefined });
-						expect(Child).to.have.been.calledWithMatch({ bar: 2, pending: undefined, rejected: undefined });
+						expect(Child.lastCall.args[0]).to.have.property('pending').that.eql({ 'list.2': true });
+						fail(Error('failed'));
+						done2.then( () => setTimeout( () => {
+							let props = Child.lastCall.args[0];
+							expect(props).to.have.property('list').that.eql([1]);
+							expect(props.rejected['list.2']).to.have.property('message', 'failed');
+							expect(props.pending).to.equal(undefined);
+							done();
+						}));
+					});
+				});
+			});
+
+			it('should show every cached page when remounting', done => {
+				const pages = { 0: [1], 2: [2], 3: [] };
+				const foo = { list: spy( (cursor=0) => Promise.resolve(pages[cursor]) ) };
+				const store = createStore({ maxAge: 60000 });
+				const Child = stub().returns(<div />);
+				const Connected = wire('foo', { list: { call: 'list', paginate } }, null, { store })(Child);
+				mount(<Provider foo={foo}><Connected /></Provider>);
+
+				setTimeout( () => {
+					Child.lastCall.args[0].fetchMore().then( () => {
+						mount(<span />);
+						mount(<Provider foo={foo}><Connected /></Provider>);
+						expect(foo.list).to.have.been.calledTwice;
+						expect(Child.lastCall.args[0]).to.have.property('list').that.eql([1, 2]);
+						expect(Child.lastCall.args[0]).to.have.property('hasMore').that.eql({ list: true });
+
+						// the next page is the third one
+						Child.lastCall.args[0].fetchMore();
+						expect(foo.list).to.have.been.calledThrice.and.calledWithExactly(3);
 						done();
 					});
 				});
 			});
 
-			it('should use cached value when it exists and we catch an error', done => {
-				const foo = { bar: stub().returns(Promise.resolve('BAR')) };
+			it('should retry pages and share identical ones in flight', done => {
+				let failed = false;
+				const foo = {
+					list: spy( (cursor=0) => {
+						if (cursor && !failed) {
+							failed = true;
+							return Promise.reject(Error('failed'));
+						}
+						return Promise.resolve([cursor + 1]);
+					})
+				};
+				const store = createStore();
+				const Child = stub().returns(<div />);
+				const Connected = wire('foo', { list: { call: 'list', paginate, retry: { attempts: 2, delay: 0 } } }, null, { store })(Child);
+				mount(<Provider foo={foo}><div><Connected /><Connected /></div></Provider>);
+
+				setTimeout( () => {
+					expect(foo.list).to.have.been.calledOnce;
+					let [first, second] = Child.getCalls().slice(-2).map( call => call.args[0] );
+					Promise.all([first.fetchMore(), second.fetchMore()]).then( () => {
+						// one failed attempt and its retry
+						expect(foo.list).to.have.been.calledThrice;
+						setTimeout( () => {
+							expect(Child.lastCall.args[0]).to.have.property('list').that.eql([1, 3]);
+							expect(Child.lastCall.args[0].rejected).to.equal(undefined);
+							done();
+						});
+					});
+				});
+			});
+
+			it('should reject fetchMore() if the method is missing', done => {
+				const foo = { list: () => Promise.resolve([1]) };
+				const Child = stub().returns(<div />);
+				const Connected = wire('foo', { list: { call: 'list', paginate } })(Child);
+				mount(<Provider foo={foo}><Connected /></Provider>);
+
+				setTimeout( () => {
+					delete foo.list;
+					let result;
+					expect( () => result = Child.lastCall.args[0].fetchMore() ).not.to.throw();
+					result.catch( err => {
+						expect(err).to.have.property('message', 'foo.list not found.');
+						done();
+					});
+				});
+			});
+
+			it('should merge pages with a custom merge function', done => {
+				const foo = { list: (cursor=0) => ({ items: [cursor], next: cursor<1 ? cursor + 1 : undefined }) };
+				const Child = stub().returns(<div />);
+				const Connected = wire('foo', {
+					list: {
+						call: 'list',
+						paginate: {
+							next: page => page.next,
+							merge: (list, page) => ({ ...page, items: list.items.concat(page.items) })
+						}
+					}
+				})(Child);
+				mount(<Provider foo={foo}><Connected /></Provider>);
+				expect(Child.lastCall.args[0]).to.have.property('list').that.eql({ items: [0], next: 1 });
+
+				Child.lastCall.args[0].fetchMore().then( () => {
+					setTimeout( () => {
+						expect(Child.lastCall.args[0]).to.have.property('list').that.eql({ items: [0, 1], next: undefined });
+						done();
+					});
+				});
+			});
+		});
+
+		describe('keys', () => {
+			it('should treat arguments with the same contents as the same call', () => {
+				const foo = { bar: stub().returns('BAR') };
+				const Connected = wire('foo', props => ({
+					bar: ['bar', props.query]
+				}), null, { maxAge: 60000 })( () => <div /> );
+				mount(<Provider foo={foo}><Connected query={{ a: 1, b: new Date(0) }} /></Provider>);
+				mount(<Provider foo={foo}><Connected query={{ b: new Date(0), a: 1 }} /></Provider>);
+				expect(foo.bar).to.have.been.calledOnce;
+
+				mount(<Provider foo={foo}><Connected query={{ b: new Date(1), a: 1 }} /></Provider>);
+				expect(foo.bar).to.have.been.calledTwice;
+			});
+
+			it('should use a custom getKey() for the wire or a prop', () => {
+				const foo = { bar: stub().returns('BAR'), baz: stub().returns('BAZ') };
+				const getKey = spy( ([ns, path, story]) => `${ns}.${path}:${story.id}` );
+				const Connected = wire('foo', props => ({
+					bar: ['bar', props.story],
+					baz: { call: ['baz', props.story], getKey: () => 'baz' }
+				}), null, { getKey })( () => <div /> );
+				mount(<Provider foo={foo}><Connected story={{ id: 1, title: 'a' }} /></Provider>);
+				expect(getKey).to.have.been.calledWith(['foo', 'bar', { id: 1, title: 'a' }]);
+
+				mount(<Provider foo={foo}><Connected story={{ id: 1, title: 'b' }} /></Provider>);
+				expect(foo.bar).to.have.been.calledOnce;
+				mount(<Provider foo={foo}><Connected story={{ id: 2, title: 'b' }} /></Provider>);
+				expect(foo.bar).to.have.been.calledTwice;
+				expect(foo.baz).to.have.been.calledOnce;
+			});
+
+			it('should not share values between function paths', done => {
+				const Child = stub().returns(<div />);
+				const store = createStore({ maxAge: 60000 });
+				const Connected = wire(null, {
+					a: () => Promise.resolve('A'),
+					b: () => Promise.resolve('B')
+				}, null, { store })(Child);
+				mount(<Connected />);
+				setTimeout( () => {
+					expect(store.cache.keys()).to.have.length(2);
+					expect(Child.lastCall.args[0]).to.include({ a: 'A', b: 'B' });
+					done();
+				});
+			});
+
+			it('should key function paths by wire() and prop, so remounts reuse them', done => {
+				const store = createStore({ maxAge: 60000 });
+				const load = spy( () => Promise.resolve('A') );
+				const Connected = wire(null, { a: load }, null, { store })( () => <div /> );
+				const Other = wire(null, { a: () => Promise.resolve('other') }, null, { store })( () => <div /> );
+				mount(<div><Connected /><Other /></div>);
+				setTimeout( () => {
+					for (let i=0; i<3; i++) {
+						mount(<span />);
+						mount(<div><Connected /><Other /></div>);
+					}
+					expect(load).to.have.been.calledOnce;
+					expect(store.cache.keys()).to.have.length(2);
+					done();
+				});
+			});
+		});
+
+		describe('store', () => {
+			it('should share cached values between wire() instances', done => {
+				const foo = { bar: spy( a => Promise.resolve(a.toUpperCase()) ) };
+				const store = createStore({ maxAge: 60000 });
+				const mapToProps = props => ({ bar: ['bar', props.a] });
+				const One = stub().returns(<div />);
+				const Two = stub().returns(<div />);
+				const ConnectedOne = wire('foo', mapToProps, null, { store })(One);
+				const ConnectedTwo = wire('foo', mapToProps, null, { store })(Two);
+				mount(<Provider foo={foo}><ConnectedOne a="a" /></Provider>);
+				setTimeout( () => {
+					mount(<Provider foo={foo}><div><ConnectedOne a="a" /><ConnectedTwo a="a" /></div></Provider>);
+					expect(foo.bar).to.have.been.calledOnce;
+					expect(Two).to.have.been.calledOnce.and.calledWithMatch({ a: 'a', bar: 'A', pending: undefined });
+					done();
+				});
+			});
+
+			it('should refetch matching props when invalidated', done => {
+				const foo = { bar: spy( a => Promise.resolve(a.toUpperCase()) ) };
+				const store = createStore();
 				const Child = stub().returns(<div />);
 				const Connected = wire('foo', props => ({
 					bar: ['bar', props.a]
-				}))(Child);
-				mount(<Provider foo={foo}><Connected a="b" /></Provider>);
-				expect(Child).to.have.been.calledOnce.and.calledWithMatch({ a: 'b', pending: { bar: true }, rejected: undefined });
-				expect(foo.bar).to.have.been.calledOnce.and.calledWith('b');
+				}), null, { store })(Child);
+				mount(<Provider foo={foo}><div><Connected a="a" /><Connected a="b" /></div></Provider>);
 				setTimeout( () => {
-					expect(Child).to.have.been.calledTwice;
-					expect(Child.secondCall).to.have.been.calledWithMatch({ a: 'b', bar: 'BAR', pending: undefined, rejected: undefined });
+					foo.bar.resetHistory();
+					Child.reset();
+					store.invalidate('foo', 'bar', 'a');
+					expect(foo.bar).to.have.been.calledOnce.and.calledWith('a');
 
-					//this time have foo.bar reject the promise
-					foo.bar.returns(Promise.reject('ERR'));
-					Child.secondCall.args[0].refresh();
+					store.invalidate('foo');
+					expect(foo.bar).to.have.been.calledThrice.and.calledWith('b');
+
+					store.invalidate('other');
+					expect(foo.bar).to.have.been.calledThrice;
 
 					setTimeout( () => {
-						expect(Child.callCount).to.equal(4);
-						expect(Child).to.have.been.calledWithMatch({ bar: 'BAR', pending: { bar: true }, rejected: undefined });
-						expect(Child).to.have.been.calledWithMatch({ bar: 'BAR', pending: undefined, rejected: { bar: 'ERR' } });
+						expect(Child).to.have.been.calledWithMatch({ a: 'a', bar: 'A', pending: undefined });
+						expect(Child).to.have.been.calledWithMatch({ a: 'b', bar: 'B', pending: undefined });
 						done();
 					});
 				});
 			});
+
+			it('should share identical in-flight calls between components', done => {
+				const foo = { bar: spy( a => Promise.resolve(a.toUpperCase()) ) };
+				const store = createStore();
+				const Child = stub().returns(<div />);
+				const Connected = wire('foo', props => ({
+					bar: ['bar', props.a]
+				}), null, { store })(Child);
+				mount(<Provider foo={foo}><div><Connected a="a" /><Connected a="a" /><Connected a="b" /></div></Provider>);
+				expect(foo.bar).to.have.been.calledTwice;
+
+				// a late subscriber joins the pending call:
+				mount(<Provider foo={foo}><div><Connected a="a" /><Connected a="a" /><Connected a="b" /><Connected a="a" /></div></Provider>);
+				expect(foo.bar).to.have.been.calledTwice;
+
+				setTimeout( () => {
+					expect(Child.withArgs(match({ a: 'a', bar: 'A', pending: undefined }))).to.have.been.calledThrice;
+					expect(Child.withArgs(match({ a: 'b', bar: 'B', pending: undefined }))).to.have.been.calledOnce;
+
+					// refresh() forces a new call:
+					Child.lastCall.args[0].refresh();
+					expect(foo.bar).to.have.been.calledThrice;
+					done();
+				});
+			});
+
+			it('should only abort a shared call once no component needs it', () => {
+				const foo = { bar: stub().returns(new Promise(noop)) };
+				const store = createStore();
+				const Connected = wire('foo', props => ({
+					bar: ['bar', props.a]
+				}), null, { store, signal: true })( () => <div /> );
+				mount(<Provider foo={foo}><div><Connected a="a" /><Connected a="a" /></div></Provider>);
+				expect(foo.bar).to.have.been.calledOnce;
+				let signal = foo.bar.firstCall.args[1];
+
+				mount(<Provider foo={foo}><div><Connected a="a" /><Connected a="b" /></div></Provider>);
+				expect(signal.aborted).to.equal(false);
+
+				mount(<Provider foo={foo}><div><Connected a="b" /><Connected a="b" /></div></Provider>);
+				expect(signal.aborted).to.equal(true);
+			});
+
+			it('should stop listening for invalidation when unmounted', done => {
+				const foo = { bar: stub().returns(Promise.resolve('BAR')) };
+				const store = createStore();
+				const Connected = wire('foo', { bar: 'bar' }, null, { store })( () => <div /> );
+				mount(<Provider foo={foo}><Connected /></Provider>);
+				setTimeout( () => {
+					mount(<span />);
+					foo.bar.resetHistory();
+					store.invalidate('foo');
+					expect(foo.bar).not.to.have.been.called;
+					done();
+				});
+			});
+		});
+
+		describe('cancellation', () => {
+			it('should only pass an AbortSignal if enabled', () => {
+				const foo = { bar: stub().returns(Promise.resolve('BAR')) };
+				const Connected = wire('foo', props => ({
+					bar: ['bar', props.a]
+				}))( () => <div /> );
+				mount(<Provider foo={foo}><Connected a="a" /></Provider>);
+				expect(foo.bar).to.have.been.calledOnce;
+				expect(foo.bar.firstCall.args).to.eql(['a']);
+			});
+
+			it('should abort calls whose key changed', () => {
+				const foo = { bar: stub().returns(new Promise(noop)) };
+				const Connected = wire('foo', props => ({
+					bar: ['bar', props.a]
+				}), null, { signal: true })( () => <div /> );
+				mount(<Provider foo={foo}><Connected a="a" /></Provider>);
+				let signal = foo.bar.firstCall.args[1];
+				expect(foo.bar.firstCall.args[0]).to.equal('a');
+				expect(signal).to.be.an.instanceof(AbortSignal);
+				expect(signal.aborted).to.equal(false);
+
+				mount(<Provider foo={foo}><Connected a="b" /></Provider>);
+				expect(signal.aborted).to.equal(true);
+				expect(foo.bar.secondCall.args[1].aborted).to.equal(false);
+			});
+
+			it('should abort calls and ignore their results when unmounted', done => {
+				let resolve;
+				const foo = { bar: stub().returns(new Promise( r => { resolve = r; })) };
+				const Child = stub().returns(<div />);
+				const Connected = wire('foo', { bar: 'bar' }, null, { signal: true })(Child);
+				mount(<Provider foo={foo}><Connected /></Provider>);
+				let signal = foo.bar.firstCall.args[0];
+				mount(<span />);
+				expect(signal.aborted).to.equal(true);
+
+				Child.reset();
+				resolve('BAR');
+				setTimeout( () => {
+					expect(Child).not.to.have.been.called;
+					done();
+				});
+			});
+		});
+
+		describe('retry', () => {
+			it('should stay pending while retrying and only reject after the last attempt', done => {
+				const foo = { bar: spy( () => Promise.reject(Error('failed')) ) };
+				const Child = stub().returns(<div />);
+				const Connected = wire('foo', { bar: 'bar' }, null, { retry: { attempts: 2, delay: 5 } })(Child);
+				mount(<Provider foo={foo}><Connected /></Provider>);
+
+				setTimeout( () => {
+					expect(foo.bar).to.have.been.calledOnce;
+					expect(Child).to.have.been.calledOnce;
+					expect(Child.lastCall.args[0]).to.have.property('pending').that.eql({ bar: true });
+					expect(Child.lastCall.args[0].rejected).to.equal(undefined);
+
+					setTimeout( () => {
+						expect(foo.bar).to.have.been.calledTwice;
+						expect(Child.lastCall.args[0].pending).to.equal(undefined);
+						expect(Child.lastCall.args[0]).to.have.property('rejected').that.eql({ bar: Error('failed') });
+						done();
+					}, 20);
+				});
+			});
+
+			it('should resolve a prop once a retry succeeds', done => {
+				let attempt = 0;
+				const foo = { bar: spy( () => ++attempt<2 ? Promise.reject(Error('failed')) : Promise.resolve('BAR') ) };
+				const Child = stub().returns(<div />);
+				const Connected = wire('foo', { bar: 'bar' }, null, { retry: { delay: 1 } })(Child);
+				mount(<Provider foo={foo}><Connected /></Provider>);
+
+				setTimeout( () => {
+					expect(foo.bar).to.have.been.calledTwice;
+					expect(Child.lastCall.args[0]).to.have.property('bar', 'BAR');
+					expect(Child.lastCall.args[0].rejected).to.equal(undefined);
+					done();
+				}, 20);
+			});
+
+			it('should let object descriptors configure retries per prop', done => {
+				const foo = {
+					bar: spy( () => Promise.reject(Error('failed')) ),
+					baz: spy( () => Promise.reject(Error('failed')) )
+				};
+				const Child = stub().returns(<div />);
+				const Connected = wire('foo', props => ({
+					bar: { call: ['bar', props.a], retry: false },
+					baz: { call: 'baz', retry: { attempts: 3, delay: 1 } }
+				}), null, { retry: 5 })(Child);
+				mount(<Provider foo={foo}><Connected a="a" /></Provider>);
+
+				setTimeout( () => {
+					expect(foo.bar).to.have.been.calledOnce.and.calledWithExactly('a');
+					expect(foo.baz).to.have.been.calledThrice;
+					expect(Child.lastCall.args[0]).to.have.property('rejected').that.has.all.keys('bar', 'baz');
+					done();
+				}, 30);
+			});
+
+			it('should stop retrying when unmounted', done => {
+				const foo = { bar: spy( () => Promise.reject(Error('failed')) ) };
+				const Connected = wire('foo', { bar: 'bar' }, null, { retry: { delay: 5 } })( () => <div /> );
+				mount(<Provider foo={foo}><Connected /></Provider>);
+				setTimeout( () => {
+					mount(<span />);
+					setTimeout( () => {
+						expect(foo.bar).to.have.been.calledOnce;
+						done();
+					}, 20);
+				});
+			});
+		});
+
+		describe('requirements', () => {
+			it('should call entries once the props they require have resolved', done => {
+				let resolveUser;
+				const mail = {
+					getCurrentUser: stub().returns(new Promise( r => { resolveUser = r; })),
+					getInbox: stub().returns(Promise.resolve(['message']))
+				};
+				const Child = stub().returns(<div />);
+				const Connected = wire('mail', {
+					inbox: { requires: ['user'], call: ({ user }) => ['getInbox', user.id] },
+					user: 'getCurrentUser'
+				})(Child);
+				mount(<Provider mail={mail}><Connected /></Provider>);
+
+				expect(mail.getInbox).not.to.have.been.called;
+				expect(Child.lastCall.args[0]).to.have.property('pending').that.eql({ user: true, inbox: true });
+
+				resolveUser({ id: 1 });
+				setTimeout( () => {
+					expect(mail.getInbox).to.have.been.calledOnce.and.calledWithExactly(1);
+					expect(Child.lastCall.args[0]).to.have.property('inbox').that.eql(['message']);
+					expect(Child.lastCall.args[0]).to.have.property('user').that.eql({ id: 1 });
+					expect(Child.lastCall.args[0].pending).to.equal(undefined);
+					done();
+				}, 10);
+			});
+
+			it('should call entries again when a required prop changes', done => {
+				const mail = {
+					getUser: stub().callsFake( id => Promise.resolve({ id }) ),
+					getInbox: stub().callsFake( id => `inbox ${id}` )
+				};
+				const Child = stub().returns(<div />);
+				const Connected = wire('mail', props => ({
+					user: ['getUser', props.id],
+					inbox: { requires: ['user'], call: ({ user }) => ['getInbox', user.id] }
+				}))(Child);
+				mount(<Provider mail={mail}><Connected id={1} /></Provider>);
+
+				setTimeout( () => {
+					expect(Child.lastCall.args[0]).to.have.property('inbox', 'inbox 1');
+					mount(<Provider mail={mail}><Connected id={2} /></Provider>);
+					setTimeout( () => {
+						expect(mail.getInbox).to.have.been.calledTwice;
+						expect(Child.lastCall.args[0]).to.have.property('inbox', 'inbox 2');
+						done();
+					}, 10);
+				}, 10);
+			});
+
+			it('should only call entries again when refreshing a required prop changes their arguments', done => {
+				const mail = {
+					getCurrentUser: stub().callsFake( () => Promise.resolve({ id: 7 }) ),
+					getInbox: stub().callsFake( id => Promise.resolve(`inbox ${id}`) )
+				};
+				const Child = stub().returns(<div />);
+				const Connected = wire('mail', {
+					user: 'getCurrentUser',
+					inbox: { requires: ['user'], call: ({ user }) => ['getInbox', user.id] }
+				})(Child);
+				mount(<Provider mail={mail}><Connected /></Provider>);
+
+				setTimeout( () => {
+					expect(mail.getInbox).to.have.been.calledOnce.and.calledWithExactly(7);
+					Child.lastCall.args[0].refresh('user');
+					expect(Child.lastCall.args[0]).to.have.property('inbox', 'inbox 7');
+					setTimeout( () => {
+						expect(mail.getCurrentUser).to.have.been.calledTwice;
+						expect(mail.getInbox).to.have.been.calledOnce;
+						expect(Child.lastCall.args[0]).to.have.property('inbox', 'inbox 7');
+						expect(Child.lastCall.args[0].pending).to.equal(undefined);
+
+						// refreshing everything still refetches the entries once their requirements resolve
+						Child.lastCall.args[0].refresh();
+						setTimeout( () => {
+							expect(mail.getCurrentUser).to.have.been.calledThrice;
+							expect(mail.getInbox).to.have.been.calledTwice;
+							expect(Child.lastCall.args[0].pending).to.equal(undefined);
+							done();
+						}, 10);
+					}, 10);
+				}, 10);
+			});
+
+			it('should reject entries whose required props were rejected, until those resolve', done => {
+				let fail = true;
+				const mail = {
+					getCurrentUser: spy( () => fail ? Promise.reject(Error('failed')) : Promise.resolve({ id: 1 }) ),
+					getInbox: spy( id => Promise.resolve(`inbox ${id}`) )
+				};
+				const Child = stub().returns(<div />);
+				const Connected = wire('mail', {
+					user: 'getCurrentUser',
+					inbox: { requires: ['user'], call: ({ user }) => ['getInbox', user.id] }
+				})(Child);
+				mount(<Provider mail={mail}><Connected /></Provider>);
+
+				setTimeout( () => {
+					let props = Child.lastCall.args[0];
+					expect(mail.getInbox).not.to.have.been.called;
+					expect(props.pending).to.equal(undefined);
+					expect(props.rejected).to.have.all.keys('user', 'inbox');
+					expect(props.rejected.inbox).to.have.property('message', 'Wired prop "inbox" requires "user", which was rejected.');
+
+					fail = false;
+					props.refresh('user');
+					setTimeout( () => {
+						expect(mail.getInbox).to.have.been.calledOnce;
+						expect(Child.lastCall.args[0]).to.include({ inbox: 'inbox 1' });
+						expect(Child.lastCall.args[0].rejected).to.equal(undefined);
+						done();
+					}, 10);
+				}, 10);
+			});
+
+			it('should render the error component once every prop was rejected because of a requirement', done => {
+				const ErrorView = stub().returns(<div />);
+				const mail = { getCurrentUser: () => Promise.reject(Error('failed')), getInbox: spy() };
+				const Connected = wire('mail', {
+					user: 'getCurrentUser',
+					inbox: { requires: ['user'], call: ({ user }) => ['getInbox', user.id] }
+				}, null, { error: ErrorView, partial: true })( () => <div /> );
+				mount(<Provider mail={mail}><Connected /></Provider>);
+
+				setTimeout( () => {
+					expect(ErrorView).to.have.been.called;
+					expect(ErrorView.lastCall.args[0].rejected).to.have.all.keys('user', 'inbox');
+					done();
+				}, 10);
+			});
+
+			it('should reject entries with circular or unknown requirements instead of throwing', () => {
+				const foo = { a: spy(), b: spy(), c: spy() };
+				const Child = stub().returns(<div />);
+				const Connected = wire('foo', {
+					a: { requires: ['b'], call: 'a' },
+					b: { requires: ['a'], call: 'b' },
+					c: { requires: ['d'], call: 'c' }
+				})(Child);
+				mount(<Provider foo={foo}><Connected /></Provider>);
+
+				let rejected = Child.lastCall.args[0].rejected;
+				expect(rejected.a).to.have.property('message', 'Circular requirement between wired props: a -> b -> a');
+				expect(rejected.b).to.equal(rejected.a);
+				expect(rejected.c).to.have.property('message', 'Wired prop "c" requires "d", which is not wired.');
+				expect(foo.a).not.to.have.been.called;
+				expect(foo.c).not.to.have.been.called;
+			});
+		});
+
+		describe('select, default & validate', () => {
+			it('should use the default until the first value resolves', done => {
+				const news = { getStory: stub().returns(Promise.resolve({ comments: ['first'] })) };
+				const Child = stub().returns(<div />);
+				const Connected = wire('news', {
+					comments: { call: 'getStory', select: story => story.comments, default: [] }
+				})(Child);
+				mount(<Provider news={news}><Connected /></Provider>);
+
+				expect(Child.lastCall.args[0]).to.have.property('comments').that.eql([]);
+				setTimeout( () => {
+					expect(Child.lastCall.args[0]).to.have.property('comments').that.eql(['first']);
+					done();
+				}, 10);
+			});
+
+			it('should select once per resolution, caching the selected value', done => {
+				const store = createStore();
+				const news = { getStory: stub().returns(Promise.resolve({ title: 'Title', body: 'Body' })) };
+				const select = spy( story => story.body );
+				const Child = stub().returns(<div />);
+				const Connected = wire('news', props => ({
+					story: 'getStory',
+					body: { call: 'getStory', select },
+					count: props.count
+				}))(Child);
+				mount(<Provider news={news} wiretie={store}><Connected count={1} /></Provider>);
+
+				setTimeout( () => {
+					mount(<Provider news={news} wiretie={store}><Connected count={2} /></Provider>);
+					setTimeout( () => {
+						expect(news.getStory).to.have.been.calledOnce;
+						expect(select).to.have.been.calledOnce;
+						expect(Child.lastCall.args[0]).to.have.property('body', 'Body');
+						expect(Child.lastCall.args[0]).to.have.property('story').that.eql({ title: 'Title', body: 'Body' });
+						let values = Object.keys(store.toJSON()).map( key => store.toJSON()[key].value );
+						expect(values).to.eql([{ title: 'Title', body: 'Body' }, 'Body']);
+						done();
+					}, 10);
+				}, 10);
+			});
+
+			it('should reject values that fail validation', done => {
+				const news = {
+					getStory: stub().returns(Promise.resolve({ title: 'Title' })),
+					getComments: () => 'not a list'
+				};
+				const Child = stub().returns(<div />);
+				const Connected = wire('news', {
+					story: { call: 'getStory', validate: story => 'body' in story },
+					comments: { call: 'getComments', validate: Array.isArray, default: [] }
+				})(Child);
+				mount(<Provider news={news}><Connected /></Provider>);
+
+				setTimeout( () => {
+					let props = Child.lastCall.args[0];
+					expect(props).to.have.property('rejected').that.has.all.keys('story', 'comments');
+					expect(props.rejected.story).to.be.an.instanceOf(Error);
+					expect(props.story).to.equal(undefined);
+					expect(props.comments).to.eql([]);
+					expect(props.pending).to.equal(undefined);
+					done();
+				}, 10);
+			});
+		});
+
+		describe('debounce & throttle', () => {
+			it('should wait for debounced arguments to settle, showing the previous value meanwhile', done => {
+				const search = { search: spy( query => Promise.resolve(`results for ${query}`) ) };
+				const Child = stub().returns(<div />);
+				const Connected = wire('search', props => ({
+					results: { call: ['search', props.query], debounce: 20 }
+				}))(Child);
+				mount(<Provider search={search}><Connected query="a" /></Provider>);
+				expect(search.search).to.have.been.calledOnce.and.calledWithExactly('a');
+
+				setTimeout( () => {
+					mount(<Provider search={search}><Connected query="ab" /></Provider>);
+					mount(<Provider search={search}><Connected query="abc" /></Provider>);
+					setTimeout( () => {
+						expect(search.search).to.have.been.calledOnce;
+						expect(Child.lastCall.args[0]).to.have.property('results', 'results for a');
+						expect(Child.lastCall.args[0]).to.have.property('pending').that.eql({ results: true });
+
+						setTimeout( () => {
+							expect(search.search).to.have.been.calledTwice.and.calledWithExactly('abc');
+							expect(Child.lastCall.args[0]).to.have.property('results', 'results for abc');
+							expect(Child.lastCall.args[0].pending).to.equal(undefined);
+							done();
+						}, 40);
+					}, 5);
+				}, 10);
+			});
+
+			it('should call throttled props at most once per delay, with the latest arguments', done => {
+				const search = { search: spy( query => `results for ${query}` ) };
+				const Child = stub().returns(<div />);
+				const Connected = wire('search', props => ({
+					results: { call: ['search', props.query], throttle: 30 }
+				}))(Child);
+				mount(<Provider search={search}><Connected query="a" /></Provider>);
+				mount(<Provider search={search}><Connected query="ab" /></Provider>);
+				mount(<Provider search={search}><Connected query="abc" /></Provider>);
+				expect(search.search).to.have.been.calledOnce.and.calledWithExactly('a');
+
+				setTimeout( () => {
+					expect(search.search).to.have.been.calledTwice.and.calledWithExactly('abc');
+					expect(Child.lastCall.args[0]).to.have.property('results', 'results for abc');
+					done();
+				}, 50);
+			});
+
+			it('should not make postponed calls once unmounted', done => {
+				const search = { search: spy( query => `results for ${query}` ) };
+				const Connected = wire('search', props => ({
+					results: { call: ['search', props.query], debounce: 10 }
+				}))( () => <div /> );
+				mount(<Provider search={search}><Connected query="a" /></Provider>);
+				mount(<Provider search={search}><Connected query="ab" /></Provider>);
+				mount(<span />);
+
+				setTimeout( () => {
+					expect(search.search).to.have.been.calledOnce;
+					done();
+				}, 30);
+			});
+		});
+
+		describe('middleware', () => {
+			it('should call models through middleware, which can change arguments', done => {
+				const contexts = [];
+				const store = createStore({
+					middleware: [
+						(context, next) => {
+							contexts.push({ ...context });
+							context.args = context.args.concat('token');
+							return next();
+						}
+					]
+				});
+				const foo = { get: spy( (id, token) => Promise.resolve(`${id} ${token}`) ) };
+				const Child = stub().returns(<div />);
+				Child.displayName = 'Named';
+				const Connected = wire('foo', { value: ['get', 1] })(Child);
+				mount(<Provider foo={foo} wiretie={store}><Connected /></Provider>);
+
+				expect(foo.get).to.have.been.calledOnce.and.calledWithExactly(1, 'token');
+				expect(contexts).to.have.length(1);
+				expect(contexts[0]).to.include({ namespace: 'foo', path: 'get', prop: 'value', component: 'Named' });
+				expect(contexts[0].args).to.eql([1]);
+				expect(contexts[0].key).to.be.a('string');
+				setTimeout( () => {
+					expect(Child.lastCall.args[0]).to.have.property('value', '1 token');
+					done();
+				}, 10);
+			});
+
+			it('should let middleware short-circuit calls and transform results and errors', done => {
+				const store = createStore({
+					middleware: [
+						(context, next) => context.path==='mocked' ? 'mock' : next(),
+						(context, next) => next().then( value => value.toUpperCase(), err => Promise.reject({ message: err.message, normalized: true }) )
+					]
+				});
+				const foo = {
+					mocked: spy(),
+					get: () => Promise.resolve('value'),
+					fail: () => Promise.reject(Error('failed'))
+				};
+				const Child = stub().returns(<div />);
+				const Connected = wire('foo', { mocked: 'mocked', value: 'get', failed: 'fail' })(Child);
+				mount(<Provider foo={foo} wiretie={store}><Connected /></Provider>);
+
+				setTimeout( () => {
+					let props = Child.lastCall.args[0];
+					expect(foo.mocked).not.to.have.been.called;
+					expect(props).to.have.property('mocked', 'mock');
+					expect(props).to.have.property('value', 'VALUE');
+					expect(props.rejected).to.eql({ failed: { message: 'failed', normalized: true } });
+					let values = Object.keys(store.toJSON()).map( key => store.toJSON()[key].value );
+					expect(values).to.eql(['VALUE']);
+					done();
+				}, 10);
+			});
+
+			it('should call mutations through middleware', () => {
+				const middleware = spy( (context, next) => next() );
+				const foo = { save: spy( () => Promise.resolve('saved') ) };
+				const Child = stub().returns(<div />);
+				const Connected = wire('foo', null, null, {
+					mutations: { onSave: 'save' }
+				})(Child);
+				mount(<Provider foo={foo} wiretie={createStore({ middleware: [middleware] })}><Connected /></Provider>);
+
+				return Child.lastCall.args[0].onSave('a').then( value => {
+					expect(value).to.equal('saved');
+					expect(middleware).to.have.been.calledOnce.and.calledWithMatch({ namespace: 'foo', path: 'save', args: ['a'], prop: 'onSave' });
+				});
+			});
+		});
+
+		describe('lazy & enabled', () => {
+			afterEach( () => {
+				delete global.IntersectionObserver;
+			});
+
+			it('should defer props until they are enabled', done => {
+				const foo = { get: spy( id => Promise.resolve(`value ${id}`) ) };
+				const Child = stub().returns(<div />);
+				const Connected = wire('foo', props => ({
+					value: { call: ['get', props.id], enabled: ({ show }) => show }
+				}))(Child);
+				mount(<Provider foo={foo}><Connected id={1} show={false} /></Provider>);
+
+				expect(foo.get).not.to.have.been.called;
+				expect(Child.lastCall.args[0]).to.have.property('deferred').that.eql({ value: true });
+				expect(Child.lastCall.args[0].pending).to.equal(undefined);
+
+				mount(<Provider foo={foo}><Connected id={1} show /></Provider>);
+				expect(foo.get).to.have.been.calledOnce.and.calledWithExactly(1);
+				setTimeout( () => {
+					expect(Child.lastCall.args[0]).to.have.property('value', 'value 1');
+					expect(Child.lastCall.args[0].deferred).to.equal(undefined);
+					done();
+				}, 10);
+			});
+
+			it('should defer lazy props until the browser is idle', done => {
+				const foo = { get: spy( () => 'value' ), now: spy( () => 'now' ) };
+				const Child = stub().returns(<div />);
+				const Connected = wire('foo', { now: 'now', value: 'get' }, null, { lazy: 'idle' })(Child);
+				mount(<Provider foo={foo}><Connected /></Provider>);
+				expect(foo.get).not.to.have.been.called;
+				expect(foo.now).not.to.have.been.called;
+
+				setTimeout( () => {
+					expect(foo.get).to.have.been.calledOnce;
+					expect(Child.lastCall.args[0]).to.include({ now: 'now', value: 'value' });
+					expect(Child.lastCall.args[0].deferred).to.equal(undefined);
+					done();
+				}, 10);
+			});
+
+			it('should defer props until the component is visible', () => {
+				let observer;
+				global.IntersectionObserver = function(callback) {
+					observer = this;
+					this.observe = spy();
+					this.disconnect = spy();
+					this.trigger = isIntersecting => callback([{ isIntersecting }]);
+				};
+				const foo = { get: spy( () => 'value' ), now: spy( () => 'now' ) };
+				const Child = stub().returns(<div />);
+				const Connected = wire('foo', {
+					now: 'now',
+					value: { call: 'get', lazy: 'visible' }
+				})(Child);
+				mount(<Provider foo={foo}><Connected /></Provider>);
+
+				expect(foo.now).to.have.been.calledOnce;
+				expect(observer.observe).to.have.been.calledOnce.and.calledWith(root);
+				observer.trigger(false);
+				expect(foo.get).not.to.have.been.called;
+				expect(Child.lastCall.args[0]).to.have.property('deferred').that.eql({ value: true });
+
+				observer.trigger(true);
+				expect(foo.get).to.have.been.calledOnce;
+				expect(observer.disconnect).to.have.been.calledOnce;
+			});
+
+			it('should consider components visible without IntersectionObserver', () => {
+				const foo = { get: spy( () => 'value' ) };
+				const Connected = wire('foo', { value: 'get' }, null, { lazy: 'visible' })( () => <div /> );
+				mount(<Provider foo={foo}><Connected /></Provider>);
+				expect(foo.get).to.have.been.calledOnce;
+			});
+		});
+
+		describe('placeholders', () => {
+			let Loading, Failed;
+
+			beforeEach( () => {
+				Loading = spy( () => <div /> );
+				Failed = spy( () => <div /> );
+			});
+
+			it('should render loading until all data props resolve', done => {
+				const foo = { a: stub().returns(Promise.resolve('A')), b: stub().returns(new Promise(noop)) };
+				const Child = stub().returns(<div />);
+				const Connected = wire('foo', { a: 'a', b: 'b' }, null, { loading: Loading })(Child);
+				mount(<Provider foo={foo}><Connected x="y" /></Provider>);
+				expect(Child).not.to.have.been.called;
+				expect(Loading).to.have.been.calledWithMatch({ x: 'y' });
+
+				setTimeout( () => {
+					expect(Child).not.to.have.been.called;
+					done();
+				});
+			});
+
+			it('should render partial results once any data prop resolves', done => {
+				let resolve;
+				const foo = { a: stub().returns(new Promise( r => { resolve = r; })), b: stub().returns(new Promise(noop)) };
+				const Child = stub().returns(<div />);
+				const Connected = wire('foo', { a: 'a', b: 'b' }, null, { loading: Loading, partial: true })(Child);
+				mount(<Provider foo={foo}><Connected /></Provider>);
+				expect(Child).not.to.have.been.called;
+				expect(Loading).to.have.been.calledOnce;
+
+				resolve('A');
+				setTimeout( () => {
+					expect(Child).to.have.been.calledOnce;
+					expect(Child.lastCall.args[0]).to.include({ a: 'A' }).and.have.property('pending').that.eql({ b: true });
+					done();
+				});
+			});
+
+			it('should render error with the rejected props and a retry() function', done => {
+				let fail = true;
+				const foo = {
+					a: spy( () => fail ? Promise.reject(Error('failed')) : Promise.resolve('A') ),
+					b: stub().returns('B')
+				};
+				const Child = stub().returns(<div />);
+				const Connected = wire('foo', { a: 'a', b: 'b' }, null, { loading: Loading, error: Failed })(Child);
+				mount(<Provider foo={foo}><Connected /></Provider>);
+
+				setTimeout( () => {
+					expect(Child).not.to.have.been.called;
+					let { rejected, retry } = Failed.lastCall.args[0];
+					expect(rejected).to.have.all.keys('a');
+
+					fail = false;
+					retry();
+					expect(foo.a).to.have.been.calledTwice;
+					expect(foo.b).to.have.been.calledOnce;
+					setTimeout( () => {
+						expect(Child).to.have.been.calledOnce;
+						expect(Child.lastCall.args[0]).to.include({ a: 'A', b: 'B' });
+						done();
+					});
+				});
+			});
+
+			it('should ignore pending mutations', done => {
+				const foo = { a: stub().returns('A'), save: stub().returns(new Promise(noop)) };
+				const Child = stub().returns(<div />);
+				const Connected = wire('foo', { a: 'a' }, null, { loading: Loading, mutations: { save: 'save' } })(Child);
+				mount(<Provider foo={foo}><Connected /></Provider>);
+				Child.lastCall.args[0].save();
+				setTimeout( () => {
+					expect(Loading).not.to.have.been.called;
+					expect(Child.lastCall.args[0]).to.have.property('pending').that.eql({ save: true });
+					done();
+				});
+			});
+
+			it('should default to the placeholders configured for the store', () => {
+				const store = createStore({ loading: Loading });
+				const foo = { a: stub().returns(new Promise(noop)) };
+				const Child = stub().returns(<div />);
+				const Connected = wire('foo', { a: 'a' })(Child);
+				mount(<Provider foo={foo} wiretie={store}><Connected /></Provider>);
+				expect(Loading).to.have.been.calledOnce;
+				expect(Child).not.to.have.been.called;
+			});
+		});
+
+		describe('streams', () => {
+			// a minimal Observable that exposes its observer for the test to drive
+			const createObservable = () => {
+				let observable = {
+					observer: null,
+					unsubscribe: spy(),
+					subscribe(observer) {
+						observable.observer = observer;
+						return { unsubscribe: observable.unsubscribe };
+					}
+				};
+				return observable;
+			};
+
+			it('should re-render with each value emitted by an Observable', done => {
+				const observable = createObservable();
+				const foo = { bar: stub().returns(observable) };
+				const Child = stub().returns(<div />);
+				const Connected = wire('foo', { bar: 'bar' })(Child);
+				mount(<Provider foo={foo}><Connected /></Provider>);
+				expect(Child).to.have.been.calledOnce.and.calledWithMatch({ pending: { bar: true } });
+
+				observable.observer.next(1);
+				setTimeout( () => {
+					expect(Child.lastCall).to.have.been.calledWithMatch({ bar: 1, pending: undefined });
+					observable.observer.next(2);
+					setTimeout( () => {
+						expect(Child.lastCall).to.have.been.calledWithMatch({ bar: 2, pending: undefined });
+						observable.observer.error('ERR');
+						setTimeout( () => {
+							expect(Child.lastCall).to.have.been.calledWithMatch({ bar: 2, rejected: { bar: 'ERR' } });
+							done();
+						});
+					});
+				});
+			});
+
+			it('should unsubscribe when the key changes or the component unmounts', () => {
+				const first = createObservable();
+				const second = createObservable();
+				const foo = { bar: stub() };
+				foo.bar.withArgs('a').returns(first);
+				foo.bar.withArgs('b').returns(second);
+				const Connected = wire('foo', props => ({
+					bar: ['bar', props.a]
+				}))( () => <div /> );
+				mount(<Provider foo={foo}><Connected a="a" /></Provider>);
+				mount(<Provider foo={foo}><Connected a="b" /></Provider>);
+				expect(first.unsubscribe).to.have.been.calledOnce;
+				expect(second.unsubscribe).not.to.have.been.called;
+				mount(<span />);
+				expect(second.unsubscribe).to.have.been.calledOnce;
+			});
+
+			it('should re-render with each value produced by an async iterator', done => {
+				let values = [1, 2];
+				const iterator = {
+					next: () => Promise.resolve(values.length ? { value: values.shift(), done: false } : { done: true }),
+					[Symbol.asyncIterator]: () => iterator
+				};
+				const foo = { bar: stub().returns(iterator) };
+				const Child = stub().returns(<div />);
+				const Connected = wire('foo', { bar: 'bar' })(Child);
+				mount(<Provider foo={foo}><Connected /></Provider>);
+				expect(Child).to.have.been.calledOnce.and.calledWithMatch({ pending: { bar: true } });
+				setTimeout( () => {
+					expect(Child).to.have.been.calledWithMatch({ bar: 1 });
+					expect(Child.lastCall).to.have.been.calledWithMatch({ bar: 2, pending: undefined, rejected: undefined });
+					done();
+				});
+			});
+		});
+
+		describe('mutations', () => {
+			it('should pass down functions that call model methods and track their status', done => {
+				let resolve;
+				const foo = { save: spy( () => new Promise( r => { resolve = r; }) ) };
+				const Child = stub().returns(<div />);
+				const Connected = wire('foo', null, null, {
+					mutations: { onSave: 'save' }
+				})(Child);
+				mount(<Provider foo={foo}><Connected /></Provider>);
+				expect(Child).to.have.been.calledOnce.and.calledWithMatch({ onSave: match.func, pending: undefined });
+
+				let result = Child.firstCall.args[0].onSave('a', 'b');
+				expect(foo.save).to.have.been.calledOnce.and.calledWith('a', 'b');
+				resolve('saved');
+
+				setTimeout( () => {
+					expect(Child).to.have.been.calledWithMatch({ pending: { onSave: true } });
+					expect(Child.lastCall).to.have.been.calledWithMatch({ pending: undefined, rejected: undefined });
+					result.then( value => {
+						expect(value).to.equal('saved');
+						done();
+					});
+				});
+			});
+
+			it('should put errors in the rejected prop and roll back optimistic values', done => {
+				const foo = {
+					get: stub().returns(Promise.resolve('old')),
+					save: spy( () => Promise.reject('ERR') )
+				};
+				const Child = stub().returns(<div />);
+				const Connected = wire('foo', { value: 'get' }, null, {
+					mutations: {
+						onSave: {
+							call: 'save',
+							optimistic: (props, value) => ({ value })
+						}
+					}
+				})(Child);
+				mount(<Provider foo={foo}><Connected /></Provider>);
+				setTimeout( () => {
+					let props = Child.lastCall.args[0];
+					Child.reset();
+					props.onSave('new').catch( err => {
+						expect(err).to.equal('ERR');
+						setTimeout( () => {
+							expect(Child).to.have.been.calledWithMatch({ value: 'new', pending: { onSave: true } });
+							expect(Child.lastCall).to.have.been.calledWithMatch({ value: 'old', pending: undefined, rejected: { onSave: 'ERR' } });
+							done();
+						});
+					});
+				});
+			});
+
+			it('should refetch the listed props once the call succeeds', done => {
+				let count = 0;
+				const foo = {
+					get: spy( () => Promise.resolve(++count) ),
+					other: spy( () => Promise.resolve('other') ),
+					save: stub().returns(Promise.resolve())
+				};
+				const Child = stub().returns(<div />);
+				const Connected = wire('foo', { value: 'get', other: 'other' }, null, {
+					mutations: {
+						onSave: { call: 'save', refresh: ['value'] }
+					}
+				})(Child);
+				mount(<Provider foo={foo}><Connected /></Provider>);
+				setTimeout( () => {
+					Child.lastCall.args[0].onSave().then( () => {
+						expect(foo.get).to.have.been.calledTwice;
+						expect(foo.other).to.have.been.calledOnce;
+						setTimeout( () => {
+							expect(Child.lastCall).to.have.been.calledWithMatch({ value: 2, other: 'other', pending: undefined });
+							done();
+						});
+					});
+				});
+			});
+		});
+
+		describe('instrumentation', () => {
+			it('should report calls, cache hits and results to store listeners', done => {
+				const foo = { bar: stub().returns(Promise.resolve('BAR')) };
+				const store = createStore({ maxAge: 60000 });
+				const log = createEventLog();
+				store.listen(log.record);
+				function Child() {
+					return <div />;
+				}
+				const Connected = wire('foo', props => ({ bar: ['bar', props.a] }), null, { store })(Child);
+				mount(<Provider foo={foo}><Connected a={1} /></Provider>);
+
+				setTimeout( () => {
+					mount(<span />);
+					mount(<Provider foo={foo}><Connected a={1} /></Provider>);
+					let events = log.events();
+					expect(events.map( e => e.type )).to.eql(['call', 'resolve', 'hit']);
+					expect(events[0]).to.include({ namespace: 'foo', path: 'bar', key: '["foo","bar",1]', prop: 'bar', component: 'Child' });
+					expect(events[0].args).to.eql([1]);
+					expect(events[1].duration).to.be.a('number');
+					done();
+				});
+			});
+
+			it('should report rejected and superseded calls to global listeners', done => {
+				const foo = {
+					bar: stub().returns(new Promise(noop)),
+					baz: spy( () => Promise.reject(Error('failed')) )
+				};
+				const log = createEventLog();
+				const unlisten = listen(log.record);
+				const Connected = wire('foo', props => ({ bar: ['bar', props.a], baz: 'baz' }))( () => <div /> );
+				mount(<Provider foo={foo}><Connected a={1} /></Provider>);
+				mount(<Provider foo={foo}><Connected a={2} /></Provider>);
+
+				setTimeout( () => {
+					unlisten();
+					let events = log.events();
+					expect(events.map( e => `${e.type} ${e.prop}` )).to.eql(['call bar', 'call baz', 'supersede bar', 'call bar', 'reject baz']);
+					expect(events[2].args).to.eql([1]);
+					expect(events[4].error).to.have.property('message', 'failed');
+					done();
+				});
+			});
+		});
+
+		describe('model changes', () => {
+			it('should re-map and refetch everything when the model is replaced', done => {
+				const a = { name: 'a', get: stub().returns(Promise.resolve('A')) };
+				const b = { name: 'b', get: stub().returns(Promise.resolve('B')) };
+				const Child = stub().returns(<div />);
+				const Connected = wire('foo', { value: 'get' }, model => ({ name: model.name }))(Child);
+				mount(<Provider foo={a}><Connected /></Provider>);
+
+				setTimeout( () => {
+					expect(Child.lastCall.args[0]).to.include({ name: 'a', value: 'A' });
+					mount(<Provider foo={b}><Connected /></Provider>);
+					expect(b.get).to.have.been.calledOnce;
+					expect(Child.lastCall.args[0]).to.include({ name: 'b' });
+
+					setTimeout( () => {
+						expect(a.get).to.have.been.calledOnce;
+						expect(Child.lastCall.args[0]).to.include({ name: 'b', value: 'B' });
+						done();
+					});
+				});
+			});
+
+			it('should not refetch when the model is unchanged', () => {
+				const foo = { get: stub().returns('A') };
+				const Connected = wire('foo', { value: 'get' })( () => <div /> );
+				mount(<Provider foo={foo}><Connected /></Provider>);
+				mount(<Provider foo={foo}><Connected /></Provider>);
+				expect(foo.get).to.have.been.calledOnce;
+
+				const Unnamespaced = wire(null, { value: 'foo.get' })( () => <div /> );
+				mount(<Provider foo={foo}><Unnamespaced /></Provider>);
+				mount(<Provider foo={foo}><Unnamespaced /></Provider>);
+				expect(foo.get).to.have.been.calledTwice;
+			});
+
+			it('should refetch when the model emits a change event', done => {
+				let listener, version = 1;
+				const unsubscribe = spy();
+				const foo = {
+					version: () => version,
+					subscribe: fn => (listener = fn, unsubscribe)
+				};
+				spy(foo, 'version');
+				const Child = stub().returns(<div />);
+				const Connected = wire('foo', { value: 'version' }, model => ({ current: model.version() }), {
+					listen: (model, fn) => model.subscribe(fn)
+				})(Child);
+				mount(<Provider foo={foo}><Connected /></Provider>);
+				expect(Child.lastCall.args[0]).to.include({ value: 1, current: 1 });
+
+				version = 2;
+				listener();
+				setTimeout( () => {
+					expect(Child.lastCall.args[0]).to.include({ value: 2, current: 2 });
+					mount(<span />);
+					expect(unsubscribe).to.have.been.calledOnce;
+					done();
+				});
+			});
+
+			it('should listen for change events as configured by the store', () => {
+				const foo = { on: spy(), off: spy(), get: stub().returns(1) };
+				const store = createStore({
+					listen: (model, fn) => {
+						model.on('change', fn);
+						return () => model.off('change', fn);
+					}
+				});
+				const Connected = wire('foo', { value: 'get' })( () => <div /> );
+				mount(<Provider foo={foo} wiretie={store}><Connected /></Provider>);
+				expect(foo.on).to.have.been.calledOnce.and.calledWith('change');
+
+				foo.on.firstCall.args[1]();
+				expect(foo.get).to.have.been.calledTwice;
+				mount(<span />);
+				expect(foo.off).to.have.been.calledWith('change', foo.on.firstCall.args[1]);
+			});
+
+			it('should not listen to models unless configured to', () => {
+				const newsletter = { subscribe: spy(), on: spy(), getStatus: stub().returns('active') };
+				const Connected = wire('newsletter', { status: 'getStatus' })( () => <div /> );
+				mount(<Provider newsletter={newsletter}><Connected /></Provider>);
+				expect(newsletter.getStatus).to.have.been.calledOnce;
+				expect(newsletter.subscribe).not.to.have.been.called;
+				expect(newsletter.on).not.to.have.been.called;
+			});
+		});
+
+		describe('refresh', () => {
+			it('should pass a refresh() function prop', () => {
+				const Child = stub().returns(<div />);
+				const Connected = wire('a')(Child);
+				mount(<Connected />);
+				expect(Child).to.have.been.calledOnce.and.calledWithMatch({ refresh: match.func });
+			});
+
+			it('should re-resolve data when refresh() is called', done => {
+				let count = 0;
+				const foo = { bar: spy( () => Promise.resolve(++count) ) };
+				const Child = stub().returns(<div />);
+				const mapToProps = spy( () => ({ bar: 'bar' }) );
+				const Connected = wire('foo', mapToProps)(Child);
+				mount(<Provider foo={foo}><Connected /></Provider>);
+
+				expect(mapToProps, 'in initial render').to.have.been.calledOnce;
+
+				expect(Child).to.have.been.calledOnce
+					.and.calledWithMatch({ pending: { bar: true }, rejected: undefined });
+
+				setTimeout( () => {
+					expect(mapToProps, 'in re-render').to.have.been.calledOnce;
+					expect(Child).to.have.been.calledTwice
+						.and.calledWithMatch({ bar: 1, pending: undefined, rejected: undefined });
+
+					let props = Child.secondCall.args[0];
+					expect(props).to.have.property('refresh').that.is.a('function');
+					props.refresh();
+
+					expect(mapToProps).to.have.been.calledTwice;
+					expect(foo.bar).to.have.been.calledTwice;
+
+					setTimeout( () => {
+						expect(Child.callCount).to.equal(4);
+						expect(Child).to.have.been.calledWithMatch({ bar: 1, pending: { bar: true }, rejected: undefined });
+						expect(Child).to.have.been.calledWithMatch({ bar: 2, pending: undefined, rejected: undefined });
+						done();
+					});
+				});
+			});
+
+			it('should use cached value when it exists and we catch an error', done => {
+				const foo = { bar: stub().returns(Promise.resolve('BAR')) };
+				const Child = stub().returns(<div />);
+				const Connected = wire('foo', props => ({
+					bar: ['bar', props.a]
+				}))(Child);
+				mount(<Provider foo={foo}><Connected a="b" /></Provider>);
+				expect(Child).to.have.been.calledOnce.and.calledWithMatch({ a: 'b', pending: { bar: true }, rejected: undefined });
+				expect(foo.bar).to.have.been.calledOnce.and.calledWith('b');
+				setTimeout( () => {
+					expect(Child).to.have.been.calledTwice;
+					expect(Child.secondCall).to.have.been.calledWithMatch({ a: 'b', bar: 'BAR', pending: undefined, rejected: undefined });
+
+					//this time have foo.bar reject the promise
+					foo.bar.returns(Promise.reject('ERR'));
+					Child.secondCall.args[0].refresh();
+
+					setTimeout( () => {
+						expect(Child.callCount).to.equal(4);
+						expect(Child).to.have.been.calledWithMatch({ bar: 'BAR', pending: { bar: true }, rejected: undefined });
+						expect(Child).to.have.been.calledWithMatch({ bar: 'BAR', pending: undefined, rejected: { bar: 'ERR' } });
+						done();
+					});
+				});
+			});
+
+			it('should only re-resolve the props passed to refresh()', done => {
+				let count = 0;
+				const foo = { a: spy( () => Promise.resolve(++count) ), b: spy( () => Promise.resolve('b') ) };
+				const Child = stub().returns(<div />);
+				const Connected = wire('foo', { a: 'a', b: 'b' })(Child);
+				mount(<Provider foo={foo}><Connected /></Provider>);
+
+				setTimeout( () => {
+					Child.lastCall.args[0].refresh('a');
+					expect(foo.a).to.have.been.calledTwice;
+					expect(foo.b).to.have.been.calledOnce;
+
+					setTimeout( () => {
+						expect(Child).to.have.been.calledWithMatch({ a: 1, b: 'b', pending: { a: true } });
+						expect(Child.lastCall).to.have.been.calledWithMatch({ a: 2, b: 'b', pending: undefined });
+						done();
+					});
+				});
+			});
+
+			it('should poll props once their call has settled, until unmounted', done => {
+				let resolve;
+				const foo = { get: spy( () => new Promise( r => resolve = r ) ) };
+				const Child = stub().returns(<div />);
+				const Connected = wire('foo', { value: { call: 'get', pollInterval: 10 } })(Child);
+				mount(<Provider foo={foo}><Connected /></Provider>);
+
+				setTimeout( () => {
+					// paused while the first call is pending:
+					expect(foo.get).to.have.been.calledOnce;
+					resolve(1);
+					setTimeout( () => {
+						expect(foo.get).to.have.been.calledTwice;
+						expect(Child.lastCall.args[0]).to.include({ value: 1 });
+						expect(Child.lastCall.args[0].pending).to.eql({ value: true });
+						resolve(2);
+						mount(<span />);
+						setTimeout( () => {
+							expect(foo.get).to.have.been.calledTwice;
+							done();
+						}, 30);
+					}, 20);
+				}, 20);
+			});
+
+			it('should revalidate props when the window regains focus or comes back online', done => {
+				let listeners = {};
+				global.addEventListener = (type, fn) => listeners[type] = fn;
+				global.removeEventListener = spy();
+				const foo = { a: spy( () => 'a' ), b: spy( () => 'b' ) };
+				const Connected = wire('foo', {
+					a: { call: 'a', revalidateOnFocus: true },
+					b: { call: 'b', revalidateOnReconnect: true }
+				})( () => <div /> );
+				mount(<Provider foo={foo}><Connected /></Provider>);
+				delete global.addEventListener;
+
+				listeners.focus();
+				expect(foo.a).to.have.been.calledTwice;
+				expect(foo.b).to.have.been.calledOnce;
+				listeners.online();
+				expect(foo.a).to.have.been.calledTwice;
+				expect(foo.b).to.have.been.calledTwice;
+
+				mount(<span />);
+				setTimeout( () => {
+					expect(global.removeEventListener).to.have.been.calledWith('focus', listeners.focus).and.calledWith('online', listeners.online);
+					delete global.removeEventListener;
+					done();
+				});
+			});
+
+			it('should only listen for focus and online events while a prop revalidates on them', () => {
+				global.addEventListener = spy();
+				global.removeEventListener = spy();
+				const foo = { get: spy( id => id ) };
+				const Connected = wire('foo', props => ({
+					value: { call: ['get', props.id], revalidateOnFocus: props.id===2 }
+				}))( () => <div /> );
+				mount(<Provider foo={foo}><Connected id={1} /></Provider>);
+				expect(global.addEventListener).not.to.have.been.called;
+
+				mount(<Provider foo={foo}><Connected id={2} /></Provider>);
+				expect(global.addEventListener).to.have.been.calledOnce.and.calledWith('focus');
+
+				mount(<Provider foo={foo}><Connected id={3} /></Provider>);
+				expect(global.removeEventListener).to.have.been.calledOnce.and.calledWith('focus', global.addEventListener.firstCall.args[1]);
+				delete global.addEventListener;
+				delete global.removeEventListener;
+			});
 		});
 	});
 });
@@ -0,0 +1,42 @@
+import { expect } from 'chai';
+import getKey from '../src/key';
+
+/*eslint-env mocha*/
+
+describe('getKey()', () => {
+	it('should serialize plain values like JSON', () => {
+		let value = ['foo', 'bar', 1, true, null, { a: [1, 'b'] }];
+		expect(getKey(value)).to.equal(JSON.stringify(value));
+	});
+
+	it('should sort object keys', () => {
+		expect(getKey({ a: 1, b: { c: 2, d: 3 } })).to.equal(getKey({ b: { d: 3, c: 2 }, a: 1 }));
+	});
+
+	it('should keep undefined distinct from null', () => {
+		expect(getKey([undefined])).not.to.equal(getKey([null]));
+		expect(getKey({ a: undefined })).to.equal(getKey({}));
+	});
+
+	it('should serialize dates, maps and sets by their contents', () => {
+		expect(getKey(new Date(0))).to.equal(getKey(new Date(0)));
+		expect(getKey(new Date(0))).not.to.equal(getKey(new Date(1)));
+		expect(getKey(new Date(0))).not.to.equal(getKey({}));
+
+		expect(getKey(new Map([['a', 1], ['b', 2]]))).to.equal(getKey(new Map([['b', 2], ['a', 1]])));
+		expect(getKey(new Map([['a', 1]]))).not.to.equal(getKey(new Map([['a', 2]])));
+
+		expect(getKey(new Set([1, 2]))).to.equal(getKey(new Set([2, 1])));
+		expect(getKey(new Set([1]))).not.to.equal(getKey(new Set([2])));
+		expect(getKey(new Set([1]))).not.to.equal(getKey([1]));
+	});
+
+	it('should not throw for circular references', () => {
+		let a = { b: 1 };
+		a.a = a;
+		expect(getKey(a)).to.equal('{"a":[Circular],"b":1}');
+
+		let shared = { c: 1 };
+		expect(getKey([shared, shared])).to.equal('[{"c":1},{"c":1}]');
+	});
+});
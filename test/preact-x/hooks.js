@@ -0,0 +1,196 @@
+import { spy, stub } from 'sinon';
+import chai, { expect } from 'chai';
+import sinonChai from 'sinon-chai';
+import 'undom/register';
+import { h, render } from 'preact';
+import { createStore, WireProvider } from '../../src';
+import { useWire, WireContext } from '../../src/hooks';
+chai.use(sinonChai);
+
+/** @jsx h */
+
+/*eslint-env mocha*/
+
+// Preact X renders after a tick:
+const tick = () => new Promise( resolve => setTimeout(resolve, 10) );
+
+describe('useWire()', () => {
+	let scratch;
+
+	beforeEach( () => {
+		scratch = document.createElement('div');
+	});
+
+	afterEach( () => {
+		render(null, scratch);
+	});
+
+	it('should resolve values from a model in context', async () => {
+		const news = { getStory: stub().callsFake( id => Promise.resolve(`story ${id}`) ) },
+			results = [];
+		function Story({ id }) {
+			results.push(useWire('news', { story: ['getStory', id] }, [id]));
+			return <div />;
+		}
+		render(<WireProvider models={{ news }}><Story id={1} /></WireProvider>, scratch);
+
+		expect(results[0]).to.have.property('pending').that.eql({ story: true });
+		expect(results[0].values).to.eql({});
+		await tick();
+		let result = results[results.length - 1];
+		expect(result.pending).to.equal(undefined);
+		expect(result.values).to.eql({ story: 'story 1' });
+		expect(news.getStory).to.have.been.calledOnce.and.calledWithExactly(1);
+	});
+
+	it('should only re-evaluate the mapping when its deps change', async () => {
+		const news = { getStory: stub().callsFake( id => Promise.resolve(`story ${id}`) ) },
+			mapping = spy( id => ({ story: ['getStory', id] }) ),
+			results = [];
+		function Story({ id, title }) {
+			results.push(useWire('news', mapping(id), [id]));
+			return <div>{title}</div>;
+		}
+		const mount = props => render(<WireProvider models={{ news }}><Story {...props} /></WireProvider>, scratch);
+		mount({ id: 1, title: 'a' });
+		await tick();
+		mount({ id: 1, title: 'b' });
+		await tick();
+		expect(news.getStory).to.have.been.calledOnce;
+
+		mount({ id: 2, title: 'b' });
+		await tick();
+		expect(news.getStory).to.have.been.calledTwice.and.calledWithExactly(2);
+		expect(results[results.length - 1].values).to.eql({ story: 'story 2' });
+	});
+
+	it('should put errors in rejected', async () => {
+		const error = Error('failed'),
+			news = { getStory: () => Promise.reject(error) },
+			results = [],
+			swallow = () => {};
+		process.on('unhandledRejection', swallow);
+		function Story() {
+			results.push(useWire('news', { story: 'getStory' }));
+			return <div />;
+		}
+		render(<WireProvider models={{ news }}><Story /></WireProvider>, scratch);
+		await tick();
+		process.removeListener('unhandledRejection', swallow);
+
+		let result = results[results.length - 1];
+		expect(result.pending).to.equal(undefined);
+		expect(result.rejected).to.have.property('story', error);
+	});
+
+	it('should refetch the values passed to refresh()', async () => {
+		const news = {
+				getStory: stub().callsFake( () => Promise.resolve('story') ),
+				getComments: stub().callsFake( () => Promise.resolve([]) )
+			},
+			results = [];
+		function Story() {
+			results.push(useWire('news', { story: 'getStory', comments: 'getComments' }));
+			return <div />;
+		}
+		render(<WireProvider models={{ news }}><Story /></WireProvider>, scratch);
+		await tick();
+		results[results.length - 1].refresh('story');
+		await tick();
+		expect(news.getStory).to.have.been.calledTwice;
+		expect(news.getComments).to.have.been.calledOnce;
+		expect(results[results.length - 1].values).to.eql({ story: 'story', comments: [] });
+	});
+
+	it('should cache values in the store in context', async () => {
+		const store = createStore({ maxAge: 60000 }),
+			news = { getStory: stub().callsFake( () => Promise.resolve('story') ) },
+			results = [];
+		function Story() {
+			results.push(useWire('news', { story: 'getStory' }));
+			return <div />;
+		}
+		render(<WireProvider models={{ news }} store={store}><Story /></WireProvider>, scratch);
+		await tick();
+		expect(Object.keys(store.toJSON())).to.have.length(1);
+
+		// a remount uses the fresh cached value without calling the model again
+		render(null, scratch);
+		results.length = 0;
+		render(<WireProvider models={{ news }} store={store}><Story /></WireProvider>, scratch);
+		expect(results[0].values).to.eql({ story: 'story' });
+		expect(results[0].pending).to.equal(undefined);
+		expect(news.getStory).to.have.been.calledOnce;
+	});
+
+	it('should ignore results once unmounted', async () => {
+		let resolve;
+		const news = { getStory: () => new Promise( r => resolve = r ) },
+			Story = spy( () => {
+				useWire('news', { story: 'getStory' });
+				return <div />;
+			});
+		render(<WireProvider models={{ news }}><Story /></WireProvider>, scratch);
+		render(null, scratch);
+		resolve('story');
+		await tick();
+		expect(Story).to.have.been.calledOnce;
+	});
+
+	it('should call enabled() without props, deferring values until it returns true', async () => {
+		const news = { getStory: stub().callsFake( id => Promise.resolve(`story ${id}`) ) },
+			results = [];
+		function Story({ id }) {
+			results.push(useWire('news', { story: { call: ['getStory', id], enabled: () => id!==undefined } }, [id]));
+			return <div />;
+		}
+		render(<WireProvider models={{ news }}><Story /></WireProvider>, scratch);
+		await tick();
+		expect(news.getStory).not.to.have.been.called;
+		expect(results[results.length - 1].deferred).to.eql({ story: true });
+
+		render(<WireProvider models={{ news }}><Story id={1} /></WireProvider>, scratch);
+		await tick();
+		expect(news.getStory).to.have.been.calledOnce.and.calledWithExactly(1);
+		expect(results[results.length - 1].values).to.eql({ story: 'story 1' });
+		expect(results[results.length - 1].deferred).to.equal(undefined);
+	});
+
+	it('should throw for enabled() functions that take props', () => {
+		const news = { getStory: () => Promise.resolve('story') };
+		function Story({ id }) {
+			useWire('news', { story: { call: ['getStory', id], enabled: props => props.id!==undefined } }, [id]);
+			return <div />;
+		}
+		expect( () => render(<WireProvider models={{ news }}><Story id={1} /></WireProvider>, scratch) ).to.throw('The enabled() function of "story" takes props');
+	});
+
+	it('should defer lazy values until their trigger fires', async () => {
+		const news = { getStory: stub().callsFake( () => Promise.resolve('story') ) },
+			results = [];
+		function Story() {
+			results.push(useWire('news', { story: 'getStory' }, [], { lazy: 'idle' }));
+			return <div />;
+		}
+		render(<WireProvider models={{ news }}><Story /></WireProvider>, scratch);
+		expect(news.getStory).not.to.have.been.called;
+		expect(results[results.length - 1].deferred).to.eql({ story: true });
+
+		// effects (and so the trigger) only start after the next frame, or 35ms without requestAnimationFrame
+		await new Promise( resolve => setTimeout(resolve, 100) );
+		expect(news.getStory).to.have.been.calledOnce;
+		expect(results[results.length - 1].values).to.eql({ story: 'story' });
+	});
+
+	it('should obtain models from WireContext directly', async () => {
+		const news = { getStory: () => Promise.resolve('story') },
+			results = [];
+		function Story() {
+			results.push(useWire('news', { story: 'getStory' }));
+			return <div />;
+		}
+		render(<WireContext.Provider value={{ news }}><Story /></WireContext.Provider>, scratch);
+		await tick();
+		expect(results[results.length - 1].values).to.eql({ story: 'story' });
+	});
+});
@@ -0,0 +1,101 @@
+import { stub } from 'sinon';
+import chai, { expect } from 'chai';
+import sinonChai from 'sinon-chai';
+import 'undom/register';
+import { h, render, Component } from 'preact';
+import wire, { createStore, WireContext, WireProvider } from '../../src';
+chai.use(sinonChai);
+
+/** @jsx h */
+
+/*eslint-env mocha*/
+
+// preact-context-provider only supports Preact 8
+class Provider extends Component {
+	getChildContext() {
+		let { children, ...context } = this.props; // eslint-disable-line no-unused-vars
+		return context;
+	}
+
+	render({ children }) {
+		return children;
+	}
+}
+
+// Preact X renders after a tick:
+const tick = () => new Promise( resolve => setTimeout(resolve, 10) );
+
+describe('wire()', () => {
+	let scratch;
+
+	beforeEach( () => {
+		scratch = document.createElement('div');
+	});
+
+	afterEach( () => {
+		render(null, scratch);
+	});
+
+	it('should obtain models and a store from a WireProvider', async () => {
+		const store = createStore(),
+			news = { getStory: stub().callsFake( id => Promise.resolve(`story ${id}`) ) },
+			Child = stub().returns(<div />),
+			Connected = wire('news', props => ({ story: ['getStory', props.id] }))(Child);
+		render(<WireProvider models={{ news }} store={store}><Connected id={1} /></WireProvider>, scratch);
+
+		expect(Child.lastCall.args[0]).to.have.property('pending').that.eql({ story: true });
+		await tick();
+		let props = Child.lastCall.args[0];
+		expect(props).to.have.property('story', 'story 1');
+		expect(props).to.have.property('id', 1);
+		expect(props.pending).to.equal(undefined);
+		expect(Object.keys(store.toJSON())).to.have.length(1);
+	});
+
+	it('should not pass the value of WireContext to the wrapped component', () => {
+		const Child = stub().returns(<div />),
+			Connected = wire('news', { story: 'getStory' })(Child);
+		render(<WireProvider models={{ news: { getStory: () => 'story' } }}><Connected /></WireProvider>, scratch);
+
+		expect(Object.keys(Child.lastCall.args[0]).sort()).to.eql(['fetchMore', 'refresh', 'story']);
+	});
+
+	it('should prefer models in WireContext to those in legacy context', async () => {
+		const legacy = { getStory: () => Promise.resolve('legacy story') },
+			news = { getStory: () => Promise.resolve('story') },
+			user = { getName: () => Promise.resolve('name') },
+			Child = stub().returns(<div />),
+			Connected = wire(['news', 'user'], { story: 'news.getStory', name: 'user.getName' })(Child);
+		render(
+			<Provider news={legacy} user={user}>
+				<WireContext.Provider value={{ news }}>
+					<Connected />
+				</WireContext.Provider>
+			</Provider>,
+			scratch
+		);
+
+		await tick();
+		expect(Child.lastCall.args[0]).to.include({ story: 'story', name: 'name' });
+	});
+
+	it('should refetch everything when WireContext provides a different model', async () => {
+		const first = { getStory: stub().returns(Promise.resolve('first')) },
+			second = { getStory: stub().returns(Promise.resolve('second')) },
+			Child = stub().returns(<div />),
+			Connected = wire('news', { story: 'getStory' })(Child);
+		render(<WireProvider models={{ news: first }}><Connected /></WireProvider>, scratch);
+		await tick();
+		render(<WireProvider models={{ news: second }}><Connected /></WireProvider>, scratch);
+		await tick();
+
+		expect(first.getStory).to.have.been.calledOnce;
+		expect(second.getStory).to.have.been.calledOnce;
+		expect(Child.lastCall.args[0]).to.have.property('story', 'second');
+	});
+
+	it('should expose the wrapped component', () => {
+		const Child = () => <div />;
+		expect(wire('news')(Child).getWrappedComponent()).to.equal(Child);
+	});
+});
@@ -0,0 +1,8 @@
+import Module from 'module';
+
+// resolves preact (and its subpackages) to Preact X, which is installed as preact10 next to Preact 8
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function(request, ...args) {
+	if (request==='preact' || request.indexOf('preact/')===0) request = request.replace('preact', 'preact10');
+	return resolveFilename.call(this, request, ...args);
+};
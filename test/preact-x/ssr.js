@@ -0,0 +1,54 @@
+import { stub } from 'sinon';
+import chai, { expect } from 'chai';
+import sinonChai from 'sinon-chai';
+import 'undom/register';
+import { h, render } from 'preact';
+import wire, { prerender, WireProvider } from '../../src';
+import { useWire } from '../../src/hooks';
+chai.use(sinonChai);
+
+/** @jsx h */
+
+/*eslint-env mocha*/
+
+// preact-render-to-string@4 only supports Preact 8, so this renders into undom and serializes the result:
+const serialize = node => node.nodeType===3 ? node.nodeValue : `<${node.nodeName.toLowerCase()}>${node.childNodes.map(serialize).join('')}</${node.nodeName.toLowerCase()}>`;
+function renderToString(vnode) {
+	let scratch = document.createElement('div');
+	render(vnode, scratch);
+	let html = scratch.childNodes.map(serialize).join('');
+	render(null, scratch);
+	return html;
+}
+
+describe('prerender()', () => {
+	const news = {
+		getStory: stub().callsFake( id => Promise.resolve({ id, title: `Story ${id}`, related: id+1 }) ),
+		getTitle: stub().callsFake( id => Promise.resolve(`Title ${id}`) )
+	};
+
+	function Related({ id }) {
+		let { values } = useWire('news', { title: ['getTitle', id] }, [id]);
+		return <em>{values.title || '...'}</em>;
+	}
+
+	const Story = wire('news', props => ({
+		story: ['getStory', props.id]
+	}))( ({ story }) => (
+		story ? <div><h1>{story.title}</h1><Related id={story.related} /></div> : <div>Loading</div>
+	));
+
+	beforeEach( () => {
+		news.getStory.resetHistory();
+		news.getTitle.resetHistory();
+	});
+
+	it('should wait for wired components and hooks below a WireProvider', () =>
+		prerender(<WireProvider models={{ news }}><Story id={1} /></WireProvider>, { render: renderToString }).then( ({ html, data }) => {
+			expect(html).to.equal('<div><h1>Story 1</h1><em>Title 2</em></div>');
+			expect(news.getStory).to.have.been.calledOnce;
+			expect(news.getTitle).to.have.been.calledOnce;
+			expect(Object.keys(data)).to.have.length(2);
+		})
+	);
+});
@@ -0,0 +1,54 @@
+import { expect } from 'chai';
+import 'undom/register';
+import { h } from 'preact';
+import wire from '../../src';
+import { useWire } from '../../src/hooks';
+import { createMockModel, renderWired, flushWire } from '../../src/test-utils';
+
+/** @jsx h */
+
+/*eslint-env mocha*/
+
+describe('test-utils', () => {
+	describe('renderWired() and flushWire()', () => {
+		it('should provide models to components that useWire()', () => {
+			const mail = createMockModel({
+				getCurrentUser: { id: 1 },
+				getInbox: id => Promise.resolve(`inbox ${id}`)
+			});
+			let result;
+			function Inbox() {
+				result = useWire('mail', {
+					user: 'getCurrentUser',
+					inbox: { requires: ['user'], call: ({ user }) => ['getInbox', user.id] }
+				});
+				return <div />;
+			}
+
+			let { store, unmount } = renderWired(<Inbox />, { context: { mail } });
+			expect(result.pending).to.eql({ user: true, inbox: true });
+
+			return flushWire().then( () => {
+				expect(result.values).to.eql({ user: { id: 1 }, inbox: 'inbox 1' });
+				expect(result.pending).to.equal(undefined);
+				expect(store.toJSON()).to.have.property('["mail","getInbox",1]');
+				unmount();
+			});
+		});
+
+		it('should provide models to wired components', () => {
+			const news = createMockModel({ getStory: 'story' });
+			let props;
+			const Story = wire('news', { story: 'getStory' })( p => {
+				props = p;
+				return <div />;
+			});
+
+			let { unmount } = renderWired(<Story />, { context: { news } });
+			return flushWire().then( () => {
+				expect(props).to.have.property('story', 'story');
+				unmount();
+			});
+		});
+	});
+});
@@ -0,0 +1,70 @@
+import { spy, stub, match } from 'sinon';
+import chai, { expect } from 'chai';
+import sinonChai from 'sinon-chai';
+import retry from '../src/retry';
+chai.use(sinonChai);
+
+/*eslint-env mocha*/
+
+describe('retry()', () => {
+	const fail = () => Promise.reject(Error('failed'));
+
+	it('should not retry without options or for plain values', () => {
+		let call = spy(fail);
+		let p = retry(call);
+		expect(call).to.have.been.calledOnce;
+		p.catch( () => {} );
+
+		call = stub().returns('foo');
+		expect(retry(call, 3)).to.equal('foo');
+		expect(call).to.have.been.calledOnce;
+	});
+
+	it('should retry rejected calls until they succeed', () => {
+		let attempt = 0,
+			call = spy( () => ++attempt<3 ? fail() : Promise.resolve('foo') );
+		return retry(call, { delay: 1 }).then( value => {
+			expect(value).to.equal('foo');
+			expect(call).to.have.been.calledThrice;
+		});
+	});
+
+	it('should reject with the last error once out of attempts', () => {
+		let call = spy(fail);
+		return retry(call, { attempts: 2, delay: 1 }).then( () => {
+			throw Error('should have rejected');
+		}, err => {
+			expect(err.message).to.equal('failed');
+			expect(call).to.have.been.calledTwice;
+		});
+	});
+
+	it('should only retry errors accepted by `when`', () => {
+		let call = spy(fail),
+			when = stub().returns(false);
+		return retry(call, { delay: 1, when }).then(null, () => {
+			expect(call).to.have.been.calledOnce;
+			expect(when).to.have.been.calledOnce.and.calledWith(match.instanceOf(Error), 1);
+		});
+	});
+
+	it('should back off exponentially', () => {
+		let times = [],
+			call = spy( () => (times.push(Date.now()), fail()) );
+		return retry(call, { attempts: 3, delay: 20, factor: 3, jitter: false }).then(null, () => {
+			expect(times[1] - times[0]).to.be.at.least(19);
+			expect(times[2] - times[1]).to.be.at.least(59);
+		});
+	});
+
+	it('should stop retrying once the signal is aborted', done => {
+		let call = spy(fail),
+			signal = { aborted: false };
+		retry(call, { delay: 10 }, signal).then(null, err => {
+			expect(err.message).to.equal('failed');
+			expect(call).to.have.been.calledOnce;
+			done();
+		});
+		setTimeout( () => signal.aborted = true, 1);
+	});
+});
@@ -0,0 +1,81 @@
+import { spy, stub } from 'sinon';
+import chai, { expect } from 'chai';
+import sinonChai from 'sinon-chai';
+import 'undom/register';
+import { h, render } from 'preact';
+import renderToString from 'preact-render-to-string';
+import Provider from 'preact-context-provider';
+import wire, { createStore, prerender } from '../src';
+chai.use(sinonChai);
+
+/** @jsx h */
+
+/*eslint-env mocha*/
+
+describe('prerender()', () => {
+	const news = {
+		getStory: spy( id => Promise.resolve({ id, title: `Story ${id}`, related: id+1 }) ),
+		getTitle: spy( id => Promise.resolve(`Title ${id}`) )
+	};
+
+	const Related = wire('news', props => ({
+		title: ['getTitle', props.id]
+	}))( ({ title }) => <em>{title || '...'}</em> );
+
+	const Story = wire('news', props => ({
+		story: ['getStory', props.id]
+	}))( ({ story }) => (
+		story ? <div><h1>{story.title}</h1><Related id={story.related} /></div> : <div>Loading</div>
+	));
+
+	beforeEach( () => {
+		news.getStory.resetHistory();
+		news.getTitle.resetHistory();
+	});
+
+	it('should render once all (nested) data has resolved', () =>
+		prerender(<Provider news={news}><Story id={1} /></Provider>, { render: renderToString }).then( ({ html, data }) => {
+			expect(html).to.equal('<div><h1>Story 1</h1><em>Title 2</em></div>');
+			expect(news.getStory).to.have.been.calledOnce;
+			expect(news.getTitle).to.have.been.calledOnce;
+			expect(JSON.parse(JSON.stringify(data))).to.eql(data);
+		})
+	);
+
+	it('should not repeat passes for rejected calls', () => {
+		const foo = { bar: spy( () => Promise.reject(Error('failed')) ) };
+		const Failing = wire('foo', { bar: 'bar' })( ({ rejected }) => <div>{rejected ? 'Failed' : 'Loading'}</div> );
+		const render = spy(renderToString);
+		// rejections are logged as unhandled
+		const swallow = () => {};
+		process.on('unhandledRejection', swallow);
+		return prerender(<Provider foo={foo}><Failing /></Provider>, { render }).then( ({ data }) => {
+			expect(foo.bar).to.have.been.calledTwice;
+			expect(render).to.have.been.calledTwice;
+			expect(data).to.eql({});
+			return new Promise( resolve => setTimeout(resolve) );
+		}).then( () => {
+			process.removeListener('unhandledRejection', swallow);
+		});
+	});
+
+	it('should stop after maxPasses', () =>
+		prerender(<Provider news={news}><Story id={1} /></Provider>, { render: renderToString, maxPasses: 1 }).then( ({ html }) => {
+			expect(html).to.equal('<div>Loading</div>');
+		})
+	);
+
+	it('should produce data that can be hydrated on the client', () =>
+		prerender(<Provider news={news}><Story id={1} /></Provider>, { render: renderToString }).then( ({ data }) => {
+			news.getStory.resetHistory();
+			let store = createStore();
+			store.hydrate(JSON.parse(JSON.stringify(data)));
+
+			const Child = stub().returns(<div />);
+			const Connected = wire('news', { story: ['getStory', 1] })(Child);
+			render(<Provider news={news} wiretie={store}><Connected /></Provider>, document.createElement('div'));
+			expect(news.getStory).not.to.have.been.called;
+			expect(Child).to.have.been.calledOnce.and.calledWithMatch({ story: { id: 1, title: 'Story 1' }, pending: undefined });
+		})
+	);
+});
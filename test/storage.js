@@ -0,0 +1,90 @@
+import { spy } from 'sinon';
+import chai, { expect } from 'chai';
+import sinonChai from 'sinon-chai';
+import { createMemoryStorage, createLocalStorage, createPersistence } from '../src/storage';
+chai.use(sinonChai);
+
+/*eslint-env mocha*/
+
+describe('storage', () => {
+	describe('createLocalStorage()', () => {
+		it('should store JSON under prefixed keys', () => {
+			let data = {},
+				storage = {
+					getItem: key => data[key],
+					setItem: (key, value) => data[key] = value,
+					removeItem: key => delete data[key],
+					key: i => Object.keys(data)[i],
+					get length() {
+						return Object.keys(data).length;
+					}
+				},
+				adapter = createLocalStorage({ storage, prefix: 'x:' });
+
+			data.other = 'value';
+			adapter.set('a', { value: 1 });
+			expect(data).to.eql({ other: 'value', 'x:a': '{"value":1}' });
+			expect(adapter.get('a')).to.eql({ value: 1 });
+			expect(adapter.get('b')).to.equal(undefined);
+			expect(adapter.keys()).to.eql(['a']);
+			adapter.delete('a');
+			expect(adapter.keys()).to.eql([]);
+		});
+	});
+
+	describe('createPersistence()', () => {
+		it('should restore saved values of the same version', () => {
+			let storage = createMemoryStorage(),
+				fn = spy();
+			createPersistence({ storage }).save('a', 1, ['foo', 'a']);
+			createPersistence({ storage }).restore('a', fn);
+			expect(fn).to.have.been.calledOnce.and.calledWithExactly(1);
+
+			fn.resetHistory();
+			createPersistence({ storage, version: 2 }).restore('a', fn);
+			expect(fn).not.to.have.been.called;
+			expect(storage.keys()).to.eql([]);
+		});
+
+		it('should discard expired values', () => {
+			let storage = createMemoryStorage(),
+				fn = spy();
+			createPersistence({ storage, maxAge: -1 }).save('a', 1);
+			createPersistence({ storage }).restore('a', fn);
+			expect(fn).not.to.have.been.called;
+			expect(storage.keys()).to.eql([]);
+		});
+
+		it('should support asynchronous storage', () => {
+			let memory = createMemoryStorage(),
+				storage = {
+					get: key => Promise.resolve(memory.get(key)),
+					set: (key, entry) => Promise.resolve(memory.set(key, entry)),
+					delete: key => Promise.resolve(memory.delete(key)),
+					keys: () => Promise.resolve(memory.keys())
+				},
+				persistence = createPersistence({ storage });
+			persistence.save('a', 1, ['foo', 'a']);
+			persistence.save('b', 2, ['bar', 'b']);
+			return new Promise( resolve => persistence.restore('a', resolve) ).then( value => {
+				expect(value).to.equal(1);
+				persistence.invalidate( descriptor => descriptor[0]==='foo' );
+				return new Promise( resolve => setTimeout(resolve) );
+			}).then( () => {
+				expect(memory.keys()).to.eql(['b']);
+			});
+		});
+
+		it('should ignore storage errors', () => {
+			let fail = () => {
+					throw Error('quota exceeded');
+				},
+				persistence = createPersistence({ storage: { get: fail, set: fail, delete: fail, keys: fail } });
+			expect( () => {
+				persistence.save('a', 1);
+				persistence.restore('a', spy());
+				persistence.invalidate( () => true );
+			}).not.to.throw();
+		});
+	});
+});
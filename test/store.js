@@ -0,0 +1,148 @@
+import { spy } from 'sinon';
+import chai, { expect } from 'chai';
+import sinonChai from 'sinon-chai';
+import createStore from '../src/store';
+chai.use(sinonChai);
+
+/*eslint-env mocha*/
+
+describe('createStore()', () => {
+	it('should expose a cache', () => {
+		let store = createStore({ maxAge: 60000 });
+		store.cache.set('a', 1);
+		expect(store.cache.get('a')).to.eql({ value: 1, fresh: true });
+	});
+
+	describe('invalidate()', () => {
+		let store;
+		beforeEach( () => {
+			store = createStore();
+			store.cache.set('a', 1, ['news', 'getStory', 1234]);
+			store.cache.set('b', 2, ['news', 'getStory', 5678]);
+			store.cache.set('c', 3, ['news', 'getTopStories']);
+			store.cache.set('d', 4, ['user', 'getPrefs']);
+		});
+
+		it('should drop values by namespace', () => {
+			store.invalidate('news');
+			expect(store.cache.keys()).to.eql(['d']);
+		});
+
+		it('should drop values by method', () => {
+			store.invalidate('news', 'getStory');
+			expect(store.cache.keys()).to.eql(['c', 'd']);
+		});
+
+		it('should drop values by arguments', () => {
+			store.invalidate('news', 'getStory', 1234);
+			expect(store.cache.keys()).to.eql(['b', 'c', 'd']);
+		});
+
+		it('should notify subscribers with a matcher', () => {
+			let fn = spy();
+			let unsubscribe = store.subscribe(fn);
+			store.invalidate('news', 'getStory');
+			expect(fn).to.have.been.calledOnce;
+			let matches = fn.firstCall.args[0];
+			expect(matches(['news', 'getStory', 1])).to.equal(true);
+			expect(matches(['news', 'getTopStories'])).to.equal(false);
+
+			unsubscribe();
+			store.invalidate('news');
+			expect(fn).to.have.been.calledOnce;
+		});
+	});
+
+	describe('toJSON() / hydrate()', () => {
+		it('should round-trip values as fresh entries', () => {
+			let store = createStore();
+			store.cache.set('a', { b: 1 }, ['news', 'getStory', 1]);
+			expect(store.cache.get('a').fresh).to.equal(false);
+
+			let data = JSON.parse(JSON.stringify(store));
+			expect(data).to.eql({ a: { value: { b: 1 }, descriptor: ['news', 'getStory', 1] } });
+
+			let other = createStore();
+			other.hydrate(data);
+			expect(other.cache.get('a')).to.eql({ value: { b: 1 }, fresh: true });
+
+			other.invalidate('news', 'getStory');
+			expect(other.cache.get('a')).to.equal(undefined);
+		});
+	});
+
+	describe('settled()', () => {
+		it('should wait for tracked calls', () => {
+			let store = createStore();
+			let resolve;
+			store.track(new Promise( r => { resolve = r; }));
+			store.track(Promise.reject('error'));
+			let settled = store.settled();
+			resolve();
+			return settled.then( waited => {
+				expect(waited).to.equal(true);
+				return store.settled();
+			}).then( waited => {
+				expect(waited).to.equal(false);
+			});
+		});
+
+		it('should not report calls for keys it already waited for as new', () => {
+			let store = createStore();
+			store.track(Promise.reject('error'), 'a');
+			return store.settled().then( waited => {
+				expect(waited).to.equal(true);
+				store.track(Promise.reject('error'), 'a');
+				return store.settled();
+			}).then( waited => {
+				expect(waited).to.equal(false);
+				store.track(Promise.resolve(), 'b');
+				return store.settled();
+			}).then( waited => {
+				expect(waited).to.equal(true);
+			});
+		});
+	});
+
+	describe('request()', () => {
+		it('should share in-flight Promises by key', () => {
+			let store = createStore();
+			let call = spy( () => Promise.resolve(1) );
+			let first = store.request('a', call);
+			let second = store.request('a', call);
+			expect(call).to.have.been.calledOnce;
+			expect(second.value).to.equal(first.value);
+
+			store.request('a', call, true);
+			expect(call).to.have.been.calledTwice;
+
+			return first.value.then( () => {
+				store.request('a', call);
+				expect(call).to.have.been.calledThrice;
+			});
+		});
+
+		it('should not share calls without a key, or values that are not Promises', () => {
+			let store = createStore();
+			let call = spy( () => 1 );
+			expect(store.request('a', call).value).to.equal(1);
+			store.request('a', call);
+			store.request(undefined, () => Promise.resolve());
+			store.request(undefined, () => Promise.resolve());
+			expect(call).to.have.been.calledTwice;
+		});
+
+		it('should abort once every caller has released the call', () => {
+			let store = createStore();
+			let call = spy( () => new Promise( () => {}) );
+			let first = store.request('a', call, false, true);
+			let second = store.request('a', call, false, true);
+			let signal = call.firstCall.args[0];
+			first.release();
+			first.release();
+			expect(signal.aborted).to.equal(false);
+			second.release();
+			expect(signal.aborted).to.equal(true);
+		});
+	});
+});
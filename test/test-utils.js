@@ -0,0 +1,67 @@
+import { spy } from 'sinon';
+import chai, { expect } from 'chai';
+import sinonChai from 'sinon-chai';
+import 'undom/register';
+import { h } from 'preact';
+import wire from '../src';
+import { createMockModel, renderWired, flushWire } from '../src/test-utils';
+chai.use(sinonChai);
+
+/** @jsx h */
+
+/*eslint-env mocha*/
+
+describe('test-utils', () => {
+	describe('createMockModel()', () => {
+		it('should resolve values, reject errors and call functions, recording calls', () => {
+			let err = Error('failed'),
+				model = createMockModel({ a: 'A', b: err, c: x => x * 2 });
+			expect(model.c(2)).to.equal(4);
+			expect(model.c.calls).to.eql([[2]]);
+			return model.a(1).then( value => {
+				expect(value).to.equal('A');
+				return model.b().catch( e => e );
+			}).then( value => {
+				expect(value).to.equal(err);
+				expect(model.calls).to.eql([
+					{ method: 'c', args: [2] },
+					{ method: 'a', args: [1] },
+					{ method: 'b', args: [] }
+				]);
+			});
+		});
+	});
+
+	describe('renderWired() and flushWire()', () => {
+		it('should render wired components and wait for everything they resolve', () => {
+			const mail = createMockModel({
+				getCurrentUser: { id: 1 },
+				getInbox: id => Promise.resolve(`inbox ${id}`)
+			});
+			const Child = spy( () => <div /> );
+			const Inbox = wire('mail', {
+				user: 'getCurrentUser',
+				inbox: { requires: ['user'], call: ({ user }) => ['getInbox', user.id] }
+			})(Child);
+
+			let { store, unmount } = renderWired(<Inbox />, { context: { mail } });
+			expect(Child.lastCall.args[0].pending).to.eql({ user: true, inbox: true });
+
+			return flushWire().then( () => {
+				expect(Child.lastCall.args[0]).to.include({ inbox: 'inbox 1' });
+				expect(Child.lastCall.args[0].pending).to.equal(undefined);
+				expect(mail.calls.map( call => call.method )).to.eql(['getCurrentUser', 'getInbox']);
+				expect(store.toJSON()).to.have.property('["mail","getInbox",1]');
+				unmount();
+			});
+		});
+
+		it('should not share cached values between renders', () => {
+			const news = createMockModel({ getStory: 'story' });
+			const Story = wire('news', { story: 'getStory' }, null, { maxAge: 60000 })( () => <div /> );
+			renderWired(<Story />, { context: { news } }).unmount();
+			renderWired(<Story />, { context: { news } }).unmount();
+			expect(news.getStory.calls).to.have.length(2);
+		});
+	});
+});
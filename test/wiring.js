@@ -0,0 +1,76 @@
+import { spy } from 'sinon';
+import chai, { expect } from 'chai';
+import sinonChai from 'sinon-chai';
+import createStore from '../src/store';
+import createWiring from '../src/wiring';
+chai.use(sinonChai);
+
+/*eslint-env mocha*/
+
+describe('createWiring()', () => {
+	let component;
+	beforeEach( () => {
+		component = {
+			context: {
+				foo: { bar: spy( a => Promise.resolve(a.toUpperCase()) ) }
+			},
+			state: {},
+			setState: spy( state => {
+				component.state = { ...component.state, ...state };
+			})
+		};
+	});
+
+	it('should resolve a mapping into component state', () => {
+		let wiring = createWiring(component, 'foo', () => ({ bar: ['bar', 'a'], baz: 42 }), {}, createStore());
+		expect(wiring.invoke(null)).to.have.length(2);
+		expect(component.state).to.eql({ baz: 42, pending: { bar: true } });
+		return new Promise( r => setTimeout(r) ).then( () => {
+			expect(component.state).to.eql({ baz: 42, bar: 'A', pending: undefined });
+		});
+	});
+
+	it('should only call the model again when a key changes', () => {
+		let mapping = { bar: ['bar', 'a'] };
+		let wiring = createWiring(component, 'foo', () => mapping, {}, createStore());
+		wiring.invoke(null);
+		wiring.invoke(null);
+		expect(component.context.foo.bar).to.have.been.calledOnce;
+
+		mapping = { bar: ['bar', 'b'] };
+		wiring.invoke(null);
+		expect(component.context.foo.bar).to.have.been.calledTwice.and.calledWith('b');
+	});
+
+	it('should ignore results once unmounted', () => {
+		let wiring = createWiring(component, 'foo', () => ({ bar: ['bar', 'a'] }), {}, createStore());
+		wiring.invoke(null);
+		wiring.unmount();
+		component.setState.resetHistory();
+		return new Promise( r => setTimeout(r) ).then( () => {
+			expect(component.setState).not.to.have.been.called;
+		});
+	});
+
+	it('should throw when maxEntries or persist are combined with a store', () => {
+		let store = createStore();
+		expect( () => createWiring(component, 'foo', () => ({}), { store, maxEntries: 10 }, store) ).to.throw('`maxEntries` and `persist` configure a whole store');
+		expect( () => createWiring(component, 'foo', () => ({}), { store, persist: {} }, store) ).to.throw('`maxEntries` and `persist` configure a whole store');
+		expect( () => createWiring(component, 'foo', () => ({}), { maxEntries: 10 }, store) ).not.to.throw();
+	});
+
+	it('should reject circular or unknown requirements', () => {
+		let swallow = () => {};
+		process.on('unhandledRejection', swallow);
+		let wiring = createWiring(component, 'foo', () => ({
+			a: { requires: ['b'], call: 'bar' },
+			b: { requires: ['a'], call: 'bar' },
+			c: { requires: ['d'], call: 'bar' }
+		}), {}, createStore());
+		expect(wiring.invoke(null)).to.eql([undefined, undefined, undefined]);
+		expect(component.state.rejected.a).to.have.property('message', 'Circular requirement between wired props: a -> b -> a');
+		expect(component.state.rejected.c).to.have.property('message', 'Wired prop "c" requires "d", which is not wired.');
+		expect(component.context.foo.bar).not.to.have.been.called;
+		return new Promise( r => setTimeout(r) ).then( () => process.removeListener('unhandledRejection', swallow) );
+	});
+});